@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// --- LLM Providers ---
+//
+// Every provider exposes the same `complete()` call and resolves to a fetch
+// Response in the OpenAI chat-completions format: a JSON body for regular
+// requests and an SSE stream of `chat.completion.chunk` events when `stream`
+// is set. Callers never need to know which backend answered.
+
+const DEFAULT_MODEL = 'google/gemini-2.5-flash-lite';
+
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, headers = {}, defaultModel, extraBody = {} }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    defaultModel,
+    async complete({ model, messages, temperature, max_tokens, stream = false, signal }) {
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          ...headers
+        },
+        body: JSON.stringify({
+          model: model || defaultModel,
+          messages,
+          temperature,
+          max_tokens,
+          stream,
+          // Without this streamed responses carry no token counts
+          ...(stream ? { stream_options: { include_usage: true } } : {}),
+          ...extraBody
+        }),
+        signal
+      });
+    }
+  };
+}
+
+function createOpenRouterProvider({ apiKey, defaultModel }) {
+  if (!apiKey) {
+    console.warn('Warning: OPENROUTER_API_KEY is not set. API requests will fail.');
+  }
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKey,
+    headers: {
+      'HTTP-Referer': 'https://example.com',
+      'X-Title': 'Minimalist Chatbot'
+    },
+    defaultModel,
+    // Asks OpenRouter to report the request cost alongside the token counts
+    extraBody: { usage: { include: true } }
+  });
+}
+
+// Deterministic offline backend: answers with a fixed transformation of the
+// last user message, so the UI and the tree logic can be exercised without a key.
+// The model `mock/overloaded` always answers 503, to exercise retries and fallbacks.
+const MOCK_OVERLOADED_MODEL = 'mock/overloaded';
+
+function createMockProvider({ defaultModel = 'mock/echo', chunkDelayMs = 15 } = {}) {
+  const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+  return {
+    name: 'mock',
+    defaultModel,
+    async complete({ model, messages, stream = false, signal }) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const prompt = (lastUser?.content || '').replace(/\s+/g, ' ').trim();
+      const content = `Mock answer (${messages.length} messages in context): ${prompt.slice(0, 200)}`;
+      const usage = {
+        prompt_tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+        completion_tokens: estimateTokens(content)
+      };
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      const id = 'mock-completion';
+      const modelName = model || defaultModel;
+
+      if (modelName === MOCK_OVERLOADED_MODEL) {
+        return Response.json({ error: { message: 'Model is overloaded' } }, { status: 503 });
+      }
+
+      if (!stream) {
+        return Response.json({
+          id,
+          model: modelName,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage
+        });
+      }
+
+      const words = content.split(/(?<=\s)/);
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        async start(controller) {
+          for (const word of words) {
+            if (signal?.aborted) {
+              controller.error(new DOMException('Aborted', 'AbortError'));
+              return;
+            }
+            const chunk = { id, model: modelName, choices: [{ index: 0, delta: { content: word } }] };
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+            await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+          }
+          const final = { id, model: modelName, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage };
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(final)}\n\n`));
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+        }
+      });
+      return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    }
+  };
+}
+
+// Settings come from an optional JSON file (LLM_CONFIG, default llm.config.json)
+// and are overridden by environment variables
+async function readConfigFile(rootDir) {
+  const configPath = path.resolve(rootDir, process.env.LLM_CONFIG || 'llm.config.json');
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Failed to read LLM config ${configPath}: ${err.message}`);
+  }
+}
+
+function createProvider(providerName, file, env) {
+  const defaultModel = env.LLM_MODEL || file.model;
+
+  switch (providerName) {
+    case 'openrouter':
+      return createOpenRouterProvider({
+        apiKey: env.OPENROUTER_API_KEY || file.openrouter?.apiKey,
+        defaultModel: defaultModel || DEFAULT_MODEL
+      });
+    case 'openai-compatible': {
+      const baseUrl = env.LLM_BASE_URL || file.openaiCompatible?.baseUrl;
+      if (!baseUrl) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      const model = defaultModel || file.openaiCompatible?.model;
+      if (!model) {
+        throw new Error('LLM_MODEL is required for the openai-compatible provider');
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openai-compatible',
+        baseUrl,
+        apiKey: env.LLM_API_KEY || file.openaiCompatible?.apiKey,
+        defaultModel: model
+      });
+    }
+    case 'mock':
+      return createMockProvider({ defaultModel: defaultModel || 'mock/echo' });
+    default:
+      throw new Error(`Unknown LLM provider "${providerName}"`);
+  }
+}
+
+function parseModelList(value) {
+  if (Array.isArray(value)) return value;
+  return (value || '').split(',').map(m => m.trim()).filter(Boolean);
+}
+
+// Besides the provider itself this resolves the cheaper utility model used for
+// summaries and deep-dive openers, the allowlist sessions may pick from, the
+// models to fall back to when the requested one keeps failing, and per-model
+// prices (USD per million tokens) for backends that report no cost
+export async function loadProvider(rootDir) {
+  const file = await readConfigFile(rootDir);
+  const env = process.env;
+  const provider = createProvider(env.LLM_PROVIDER || file.provider || 'openrouter', file, env);
+
+  provider.utilityModel = env.LLM_UTILITY_MODEL || file.utilityModel || provider.defaultModel;
+  const allowed = parseModelList(env.LLM_ALLOWED_MODELS || file.allowedModels);
+  provider.allowedModels = [...new Set([provider.defaultModel, provider.utilityModel, ...allowed])];
+  provider.fallbackModels = parseModelList(env.LLM_FALLBACK_MODELS || file.fallbackModels);
+  provider.pricing = file.pricing || {};
+  return provider;
+}
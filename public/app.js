@@ -1,20 +1,71 @@
+import { readSSEStream, parseCompletionEvent } from './sse.js';
+
 const historyEl = document.getElementById('history');
 const chatStream = document.getElementById('chat-stream');
 const form = document.getElementById('chat-form');
 const textarea = document.getElementById('chat-textarea');
 const newChatBtn = document.getElementById('new-chat');
 const sendBtn = document.getElementById('send-button');
+const stopBtn = document.getElementById('stop-button');
 const deepDiveBtn = document.getElementById('deep-dive');
 const parentChatBtn = document.getElementById('parent-chat-btn');
+const mergeParentBtn = document.getElementById('merge-parent-btn');
 const contextToast = document.getElementById('context-toast');
+const archiveToggle = document.getElementById('archive-toggle');
+const trashToggle = document.getElementById('trash-toggle');
+const searchInput = document.getElementById('search-input');
+const settingsBtn = document.getElementById('settings-btn');
+const usageBtn = document.getElementById('usage-btn');
+const usagePopover = document.getElementById('usage-popover');
+const summaryBtn = document.getElementById('summary-btn');
+const summaryPopover = document.getElementById('summary-popover');
+const summaryStatus = document.getElementById('summary-status');
+const summaryOverview = document.getElementById('summary-overview');
+const summaryKeyPoints = document.getElementById('summary-key-points');
+const summaryOpenQuestions = document.getElementById('summary-open-questions');
+const summaryTerms = document.getElementById('summary-terms');
+const summaryError = document.getElementById('summary-error');
+const summaryTree = document.getElementById('summary-tree');
+const summaryRefresh = document.getElementById('summary-refresh');
+const settingsPopover = document.getElementById('settings-popover');
+const settingsModel = document.getElementById('settings-model');
+const settingsTemperature = document.getElementById('settings-temperature');
+const settingsMaxTokens = document.getElementById('settings-max-tokens');
+const settingsSystemPrompt = document.getElementById('settings-system-prompt');
+const settingsSummaryLength = document.getElementById('settings-summary-length');
+const settingsError = document.getElementById('settings-error');
+const settingsReset = document.getElementById('settings-reset');
 const graphCurtain = document.getElementById('graph-curtain');
 const graphToggle = document.getElementById('graph-toggle');
 const graphSvg = document.getElementById('graph-svg');
 const graphContainer = document.getElementById('graph-container');
+const revisionsBtn = document.getElementById('revisions-btn');
+const revisionPanel = document.getElementById('revision-panel');
+const revisionPanelClose = document.getElementById('revision-panel-close');
+const revisionList = document.getElementById('revision-list');
+const contextBtn = document.getElementById('context-btn');
+const contextPanel = document.getElementById('context-panel');
+const contextPanelClose = document.getElementById('context-panel-close');
+const contextView = document.getElementById('context-view');
+const exportBtn = document.getElementById('export-btn');
+const authScreen = document.getElementById('auth-screen');
+const authForm = document.getElementById('auth-form');
+const authUsername = document.getElementById('auth-username');
+const authPassword = document.getElementById('auth-password');
+const authError = document.getElementById('auth-error');
+const authRegister = document.getElementById('auth-register');
+const logoutBtn = document.getElementById('logout-btn');
 
 // State
 let conversations = [];
 let activeConversation = null;
+let showArchived = false;
+let sidebarView = 'tree'; // 'tree' | 'trash'
+let searchQuery = '';
+let searchResults = [];
+let focusMessageId = null; // message to scroll to after the next render
+let generationConfig = null; // allowlist, defaults and limits from /api/settings
+const reportedSaveErrors = new Set(); // `${sessionId}:${message}` already shown
 const GRAPH_MARGIN = 60;
 const WHEEL_DEADZONE = 1.5;
 let graphPan = { x: 0, y: 0 };
@@ -43,8 +94,10 @@ if (markdownParser?.setOptions) {
 
 // --- Initialization ---
 (async () => {
+  await ensureSignedIn();
+
   // Load from server
-  await loadSessions();
+  await Promise.all([loadSessions(), loadGenerationConfig()]);
   
   if (conversations.length === 0) {
     activeConversation = createEmptyConversation();
@@ -81,6 +134,7 @@ renderConversation();
   }
   
   updateParentChatButton();
+  resumePendingGeneration(activeConversation);
 })();
 
 // --- Data Helpers ---
@@ -95,12 +149,49 @@ function createEmptyConversation() {
     isExpanded: true,
     summary: '',
     originTerm: null,
-    lastSummarizedMessageCount: 0
+    lastSummarizedMessageCount: 0,
+    revision: 0
   };
 }
 
 // --- API Calls ---
 
+// Explains the refusals the user can act on: the monthly budget, the rate
+// limits and the daily quota (429 with Retry-After)
+function describeRequestError(response, data) {
+  if (response.status === 402) {
+    return 'месячный бюджет на запросы к модели исчерпан';
+  }
+  if (response.status === 502) {
+    return 'модель недоступна, повторите позже';
+  }
+  if (response.status === 429) {
+    const wait = formatRetryAfter(Number(response.headers.get('Retry-After')) || data.retryAfter || 1);
+    if (data.limit === 'quota') return `дневная квота токенов исчерпана, она обновится через ${wait}`;
+    if (data.limit === 'queue') return `модель занята другими запросами, повторите через ${wait}`;
+    if (data.limit === 'login') return `слишком много неудачных попыток входа, повторите через ${wait}`;
+    return `слишком много запросов, повторите через ${wait}`;
+  }
+  return data.error || 'Сервер недоступен';
+}
+
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} с`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} мин`;
+  return `${Math.ceil(seconds / 3600)} ч`;
+}
+
+async function loadGenerationConfig() {
+  try {
+    const res = await fetch('/api/settings');
+    if (res.ok) {
+      generationConfig = await res.json();
+    }
+  } catch (err) {
+    console.error('Failed to load generation settings', err);
+  }
+}
+
 async function loadSessions() {
   try {
     const res = await fetch('/api/sessions');
@@ -112,28 +203,106 @@ async function loadSessions() {
   }
 }
 
-async function saveSession(session) {
+// Saves of the same session are chained so the client never races itself;
+// conflicts with server-side writes (e.g. summarization) are merged and retried
+const saveQueues = new Map();
+const MAX_SAVE_ATTEMPTS = 3;
+
+function saveSession(session) {
+  const previous = saveQueues.get(session.id) || Promise.resolve();
+  const current = previous.then(() => persistSession(session));
+  saveQueues.set(session.id, current);
+  current.finally(() => {
+    if (saveQueues.get(session.id) === current) {
+      saveQueues.delete(session.id);
+    }
+  });
+  return current;
+}
+
+async function persistSession(session) {
   try {
-    await fetch('/api/sessions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(session)
-    });
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const res = await fetch('/api/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(session)
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+        session.revision = data.revision;
+        forgetSaveErrors(session);
+        return;
+      }
+
+      if (res.status !== 409) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(`Save failed with status ${res.status}${data.fields ? ` (${data.fields.join(', ')})` : ''}`);
+      }
+
+      const { session: remote } = await res.json();
+      mergeRemoteSession(session, remote);
+    }
+    throw new Error('Too many save conflicts');
   } catch (err) {
     console.error('Failed to save session', err);
+    reportSaveError(session, err.message);
   }
 }
 
+// A refused save is retried with every later edit and refused again, so the
+// user is told once per chat and problem rather than on every keystroke
+function reportSaveError(session, message) {
+  const key = `${session.id}:${message}`;
+  if (reportedSaveErrors.has(key)) return;
+  reportedSaveErrors.add(key);
+  alert(`Не удалось сохранить чат «${session.title || 'Без названия'}»: ${message}. Последние изменения не сохранены на сервере.`);
+}
+
+function forgetSaveErrors(session) {
+  reportedSaveErrors.forEach(key => {
+    if (key.startsWith(`${session.id}:`)) reportedSaveErrors.delete(key);
+  });
+}
+
+// Local edits win: the local list decides which messages exist and in what
+// order, since messages stashed into another version are still in the server
+// copy until the next save. Only a reply the server is (or was) generating is
+// taken from the server, along with the summary and placement fields it owns.
+function mergeRemoteSession(local, remote) {
+  const remoteById = new Map((remote.messages || []).map(m => [m.id, m]));
+  const localIds = new Set();
+  const visit = messages => messages.forEach(m => {
+    localIds.add(m.id);
+    (m.versions || []).forEach(version => visit(version.following || []));
+  });
+  visit(local.messages);
+
+  local.messages = [
+    ...local.messages.map(m => {
+      const remoteMessage = remoteById.get(m.id);
+      return remoteMessage && (m.generation || remoteMessage.generation) ? remoteMessage : m;
+    }),
+    ...(remote.messages || []).filter(m => m.generation && !localIds.has(m.id))
+  ];
+  local.summary = remote.summary;
+  local.summaryStructured = remote.summaryStructured;
+  local.lastSummarizedMessageCount = remote.lastSummarizedMessageCount;
+  local.parentId = remote.parentId;
+  local.originHighlightId = remote.originHighlightId;
+  local.sourceMessageId = remote.sourceMessageId;
+  local.sourcePassage = remote.sourcePassage;
+  local.revision = remote.revision;
+}
+
+// Resolves to an error message when the server refused to summarize
 async function triggerSummarization(sessionId) {
   const session = conversations.find(c => c.id === sessionId);
   if (!session || session.messages.length === 0) return;
-  
-  // Check if summary is already up to date
-  if (session.messages.length <= (session.lastSummarizedMessageCount || 0)) {
-    console.log('Summary already up to date, skipping...');
-    return;
-  }
 
+  // Whether the summary is up to date is decided by the server: the message
+  // count can stay the same while the messages change (edits, versions)
   try {
     showContextToast(true);
     const res = await fetch(`/api/sessions/${sessionId}/summarize`, {
@@ -143,11 +312,20 @@ async function triggerSummarization(sessionId) {
     if (res.ok) {
       const data = await res.json();
       if (!data.skipped) {
+        // The server already wrote the summary; just mirror it locally
         session.summary = data.summary;
-        session.lastSummarizedMessageCount = session.messages.length;
-        // Save updated session
-        await saveSession(session);
+        session.summaryStructured = data.summaryStructured;
+        session.lastSummarizedMessageCount = data.messageCount;
+        // Adopt the new revision only if nothing else was saved in between,
+        // otherwise the next save will hit a 409 and merge
+        if (data.revision === (session.revision || 0) + 1) {
+          session.revision = data.revision;
+        }
       }
+    } else {
+      const message = describeRequestError(res, await res.json().catch(() => ({})));
+      console.warn('Summary was not updated:', message);
+      return message;
     }
   } catch (err) {
     console.error('Failed to summarize session', err);
@@ -175,27 +353,40 @@ async function switchConversation(newConversation) {
     localStorage.setItem(`scrollTop_${activeConversation.id}`, chatStream.scrollTop.toString());
   }
   
-  // Only trigger summarization if we're actually switching AND there are new messages
+  // Only trigger summarization if we're actually switching away from a chat
   if (activeConversation && 
       activeConversation.id !== newConversation.id && 
-      activeConversation.messages.length > 0 &&
-      activeConversation.messages.length > (activeConversation.lastSummarizedMessageCount || 0)) {
-    // Trigger summary for the OLD conversation (only if new messages exist)
-    // Don't await it, let it run in background
+      activeConversation.messages.length > 0) {
+    // Trigger summary for the OLD conversation; the server skips it when
+    // nothing changed. Don't await it, let it run in background
     triggerSummarization(activeConversation.id);
   }
 
   activeConversation = newConversation;
+  editingMessageId = null;
   
   // Save active conversation ID
   localStorage.setItem('activeConversationId', activeConversation.id);
   
+  // A search jump scrolls to its message instead of the saved position
+  const hasFocusTarget = Boolean(focusMessageId);
   updateHistory();
   renderConversation();
+  if (!revisionPanel.hidden) {
+    loadRevisionHistory();
+  }
+  if (!contextPanel.hidden) {
+    loadContextInspector();
+  }
+  closeSettingsPopover();
+  closeUsagePopover();
+  closeSummaryPopover();
   
   // Restore scroll position for new conversation
   const savedScrollTop = localStorage.getItem(`scrollTop_${activeConversation.id}`);
-  if (savedScrollTop) {
+  if (hasFocusTarget) {
+    // Already scrolled by renderConversation()
+  } else if (savedScrollTop) {
     requestAnimationFrame(() => {
       chatStream.scrollTop = parseInt(savedScrollTop, 10);
     });
@@ -204,6 +395,7 @@ async function switchConversation(newConversation) {
   }
   
   updateParentChatButton();
+  resumePendingGeneration(activeConversation);
 }
 
 const textareaAutoResize = () => {
@@ -228,6 +420,28 @@ parentChatBtn.addEventListener('click', () => {
   }
 });
 
+mergeParentBtn.addEventListener('click', handleMergeIntoParent);
+
+// Replies are generated by server-side jobs; the client only follows their
+// event stream, so a reload can reattach instead of losing the answer
+const followedGenerations = new Map(); // messageId -> AbortController
+
+function findPendingReply(conversation) {
+  return conversation?.messages.find(m => m.generation?.status === 'running');
+}
+
+stopBtn.addEventListener('click', async () => {
+  const conversation = activeConversation;
+  const pending = findPendingReply(conversation);
+  if (!pending) return;
+  try {
+    await fetch(`/api/sessions/${conversation.id}/generation/stop`, { method: 'POST' });
+  } catch (err) {
+    // The job could not be reached; at least stop following it
+    followedGenerations.get(pending.id)?.abort();
+  }
+});
+
 form.addEventListener('submit', async (event) => {
   event.preventDefault();
   const content = textarea.value.trim();
@@ -250,59 +464,140 @@ form.addEventListener('submit', async (event) => {
   await saveSession(activeConversation);
   updateHistory(); // refresh titles
 
-  const payload = [...activeConversation.messages];
-
-  // Create assistant message placeholder for streaming
-  const assistantMessage = {
-    id: crypto.randomUUID(),
-    role: 'assistant',
-    content: '',
-    highlights: []
-  };
-  activeConversation.messages.push(assistantMessage);
-  renderConversation();
+  await requestReply(activeConversation);
+  setLoading(false);
+});
 
+// Starts a server-side reply: a new assistant message, or with messageId a
+// fresh version of the last one
+async function requestReply(conversation, messageId = null) {
   try {
-    const response = await fetch('/api/chat', {
+    const response = await fetch(`/api/sessions/${conversation.id}/generate`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        messages: payload,
-        sessionId: activeConversation.id,
-        stream: true
-      })
+      body: JSON.stringify({ messageId })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(describeRequestError(response, data));
+    }
+
+    // The server wrote the assistant placeholder; mirror it locally
+    const index = conversation.messages.findIndex(m => m.id === data.message.id);
+    if (index === -1) {
+      conversation.messages.push(data.message);
+    } else {
+      conversation.messages[index] = data.message;
+    }
+    if (data.revision === (conversation.revision || 0) + 1) {
+      conversation.revision = data.revision;
+    }
+    renderConversation();
+
+    await followGeneration(conversation, data.message.id);
+  } catch (error) {
+    alert(`Не удалось получить ответ: ${error.message}`);
+  }
+}
+
+// Streams the running job of a conversation into its assistant message,
+// starting after the last event already persisted in that message
+async function followGeneration(conversation, messageId) {
+  if (followedGenerations.has(messageId)) return;
+  const findMessage = () => conversation.messages.find(m => m.id === messageId);
+  const message = findMessage();
+  if (!message) return;
+
+  const baseContent = message.content || '';
+  const lastEventId = message.generation?.eventId || 0;
+  const abort = new AbortController();
+  followedGenerations.set(messageId, abort);
+
+  // Mark streaming as active and enable auto-scroll initially
+  isStreaming = true;
+  shouldAutoScroll = true;
+  lastScrollTop = chatStream.scrollTop;
+
+  try {
+    const response = await fetch(`/api/sessions/${conversation.id}/generation`, {
+      headers: { 'Last-Event-ID': String(lastEventId) },
+      signal: abort.signal
     });
 
+    if (response.status === 404) {
+      // The job is over (or was lost in a restart); the server copy is final
+      const data = await response.json();
+      if (data.session) {
+        mergeRemoteSession(conversation, data.session);
+        renderConversation();
+      }
+      return;
+    }
     if (!response.ok) {
       throw new Error('Сервер недоступен');
     }
 
-    // Mark streaming as active and enable auto-scroll initially
-    isStreaming = true;
-    shouldAutoScroll = true;
-    lastScrollTop = chatStream.scrollTop;
-    
-    // Stream the response with smooth updates
+    let outcome = null;
     await streamChatResponse(response, (content) => {
-      assistantMessage.content = content;
-      renderConversation();
-      // Auto-scroll if user hasn't scrolled up
-      if (shouldAutoScroll) {
-        scrollToBottom();
+      const current = findMessage();
+      if (!current) return;
+      current.content = baseContent + content;
+      if (activeConversation === conversation) {
+        renderConversation();
+        // Auto-scroll if user hasn't scrolled up
+        if (shouldAutoScroll) {
+          scrollToBottom();
+        }
+      }
+    }, (type, payload) => {
+      if (type === 'job') {
+        outcome = payload;
+      } else if (type === 'context') {
+        // The server has just saved the prompt it is sending
+        if (!contextPanel.hidden && activeConversation === conversation) loadContextInspector();
+      } else if (type === 'usage') {
+        const current = findMessage();
+        if (current) current.usage = payload;
+      } else if (type === 'error') {
+        // Show the provider's error right away, before the job wraps up
+        const current = findMessage();
+        if (current) {
+          current.error = payload.message;
+          if (activeConversation === conversation) renderConversation();
+        }
       }
     });
-    
-    // Save assistant reply after streaming completes
-    await saveSession(activeConversation);
-  } catch (error) {
-    assistantMessage.content = '⚠️ Ошибка: ' + error.message;
+
+    // The server has already saved the final message; mirror it locally
+    const finished = findMessage();
+    if (finished && outcome) {
+      delete finished.generation;
+      if (outcome.status === 'aborted') finished.truncated = true;
+      if (outcome.error) finished.error = outcome.error;
+      if (outcome.model) finished.model = outcome.model;
+      if (outcome.revision === (conversation.revision || 0) + 1) {
+        conversation.revision = outcome.revision;
+      }
+    }
     renderConversation();
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Failed to follow generation', error);
+    }
   } finally {
+    followedGenerations.delete(messageId);
     isStreaming = false;
     shouldAutoScroll = true; // Reset for next message
-    setLoading(false);
   }
-});
+}
+
+// Reattaches to a reply that was still being generated when the page was left
+function resumePendingGeneration(conversation) {
+  const pending = findPendingReply(conversation);
+  if (pending) {
+    followGeneration(conversation, pending.id);
+  }
+}
 
 textarea.addEventListener('keydown', (event) => {
   if (event.key === 'Enter' && !event.shiftKey && !event.metaKey && !event.ctrlKey) {
@@ -357,9 +652,9 @@ function appendMessage(message) {
 }
 
 // Smooth streaming with batched updates
-async function streamChatResponse(response, onChunk) {
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
+// Text deltas are accumulated and handed to onChunk; typed events (`error`,
+// `usage`, `job`) go to onEvent(type, payload) as they arrive
+async function streamChatResponse(response, onChunk, onEvent) {
   let fullContent = '';
   let lastUpdateTime = performance.now();
   let pendingUpdate = false;
@@ -379,43 +674,34 @@ async function streamChatResponse(response, onChunk) {
   };
 
   try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            // Final update
-            if (animationFrameId) {
-              cancelAnimationFrame(animationFrameId);
-            }
-            onChunk(fullContent);
-            return fullContent;
-          }
-          try {
-            const parsed = JSON.parse(data);
-            const delta = parsed.choices?.[0]?.delta?.content;
-            if (delta) {
-              fullContent += delta;
-              // Schedule update with throttling for smooth rendering
-              const now = performance.now();
-              if (now - lastUpdateTime >= UPDATE_INTERVAL) {
-                scheduleUpdate();
-              } else if (!pendingUpdate) {
-                scheduleUpdate();
-              }
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
+    await readSSEStream(response.body, (event) => {
+      const completion = parseCompletionEvent(event);
+      if (!completion) {
+        console.warn('Skipping malformed stream event:', event.data);
+        return;
+      }
+      if (completion.done) return false;
+
+      if (completion.error) {
+        onEvent?.('error', completion.error);
+      }
+      if (completion.usage) {
+        onEvent?.('usage', completion.usage);
+      }
+      if (event.type !== 'message' && event.type !== 'error' && event.type !== 'usage') {
+        onEvent?.(event.type, completion.payload);
+      }
+      if (completion.content) {
+        fullContent += completion.content;
+        // Schedule update with throttling for smooth rendering
+        const now = performance.now();
+        if (now - lastUpdateTime >= UPDATE_INTERVAL) {
+          scheduleUpdate();
+        } else if (!pendingUpdate) {
+          scheduleUpdate();
         }
       }
-    }
+    });
 
     // Final update
     if (animationFrameId) {
@@ -424,20 +710,31 @@ async function streamChatResponse(response, onChunk) {
     onChunk(fullContent);
     return fullContent;
   } catch (error) {
-    console.error('Streaming error:', error);
     if (animationFrameId) {
       cancelAnimationFrame(animationFrameId);
     }
+    if (error.name === 'AbortError') {
+      // Flush the partial answer before handing the abort to the caller
+      onChunk(fullContent);
+    } else {
+      console.error('Streaming error:', error);
+    }
     throw error;
   }
 }
 
 function renderConversation() {
+  const isGenerating = Boolean(findPendingReply(activeConversation));
   chatStream.replaceChildren(
     ...activeConversation.messages.map((message) => {
       const bubble = document.createElement('div');
       bubble.className = `message message--${message.role === 'user' ? 'user' : 'bot'}`;
       bubble.dataset.messageId = message.id;
+
+      if (message.type === 'merge') {
+        bubble.classList.add('message--merge');
+        bubble.appendChild(renderMergeHeader(message));
+      }
       
       const body = document.createElement('div');
       body.className = 'message__body';
@@ -457,6 +754,21 @@ function renderConversation() {
       
       bubble.appendChild(body);
 
+      if (editingMessageId === message.id) {
+        body.replaceWith(renderMessageEditor(message));
+      }
+
+      if (message.generation?.status === 'running' && !message.content) {
+        body.textContent = '…';
+      }
+
+      if (message.truncated || message.error) {
+        const note = document.createElement('div');
+        note.className = 'message__note';
+        note.textContent = message.error ? `⚠️ Ошибка: ${message.error}` : 'Генерация остановлена';
+        bubble.appendChild(note);
+      }
+
       // Add actions footer for all messages
       const actions = document.createElement('div');
       actions.className = 'message__actions';
@@ -515,6 +827,65 @@ function renderConversation() {
 
         actions.appendChild(highlightToggleBtn);
       }
+
+      // Branch button (for all messages): fork the chat up to this message
+      const branchBtn = document.createElement('button');
+      branchBtn.className = 'action-btn branch-btn';
+      branchBtn.title = 'Ответвиться отсюда';
+      branchBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="6" y1="3" x2="6" y2="15"></line><circle cx="18" cy="6" r="3"></circle><circle cx="6" cy="18" r="3"></circle><path d="M18 9a9 9 0 0 1-9 9"></path></svg>`;
+      branchBtn.onclick = (e) => {
+        e.stopPropagation();
+        handleBranchFromMessage(message.id);
+      };
+      actions.appendChild(branchBtn);
+
+      // Regenerate (assistant) / edit & resend (user); both keep the old text as a version
+      if (message.role === 'assistant' && message.type !== 'merge') {
+        const regenerateBtn = document.createElement('button');
+        regenerateBtn.className = 'action-btn regenerate-btn';
+        regenerateBtn.title = 'Сгенерировать заново';
+        regenerateBtn.disabled = isGenerating;
+        regenerateBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>`;
+        regenerateBtn.onclick = (e) => {
+          e.stopPropagation();
+          regenerateMessage(message.id);
+        };
+        actions.appendChild(regenerateBtn);
+      } else if (message.role === 'user') {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'action-btn edit-btn';
+        editBtn.title = 'Изменить и отправить заново';
+        editBtn.disabled = isGenerating;
+        editBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>`;
+        editBtn.onclick = (e) => {
+          e.stopPropagation();
+          editingMessageId = message.id;
+          renderConversation();
+        };
+        actions.appendChild(editBtn);
+      }
+
+      if (message.versions?.length > 1) {
+        actions.appendChild(renderVersionSwitcher(message, isGenerating));
+      }
+
+      // Which model answered: the configured one or a fallback
+      if (message.role === 'assistant' && message.model) {
+        const model = document.createElement('span');
+        model.className = 'message__model';
+        model.textContent = message.model.split('/').pop();
+        model.title = `Ответила модель ${message.model}`;
+        actions.appendChild(model);
+      }
+
+      if (message.usage) {
+        const usage = document.createElement('span');
+        usage.className = 'message__usage';
+        usage.textContent = `${formatTokens(message.usage.totalTokens)} ток.`
+          + (message.usage.cost != null ? ` · ${formatCost(message.usage.cost)}` : '');
+        usage.title = `${message.usage.model || ''}\nЗапрос: ${formatTokens(message.usage.promptTokens)}, ответ: ${formatTokens(message.usage.completionTokens)}`.trim();
+        actions.appendChild(usage);
+      }
       
       bubble.appendChild(actions);
       
@@ -522,10 +893,36 @@ function renderConversation() {
     })
   );
   toggleDeepDiveButton();
+  focusPendingMessage();
+
+  stopBtn.hidden = !isGenerating;
+  sendBtn.hidden = isGenerating;
+}
+
+function focusPendingMessage() {
+  if (!focusMessageId) return;
+  const bubble = chatStream.querySelector(`[data-message-id="${focusMessageId}"]`);
+  focusMessageId = null;
+  if (!bubble) return;
+
+  bubble.classList.add('is-focused');
+  requestAnimationFrame(() => {
+    bubble.scrollIntoView({ block: 'center' });
+  });
+  setTimeout(() => bubble.classList.remove('is-focused'), 2000);
 }
 
 function updateHistory() {
-  const roots = conversations.filter(c => !c.parentId);
+  if (sidebarView === 'trash') {
+    renderTrash();
+    return;
+  }
+  if (searchQuery) {
+    renderSearchResults();
+    return;
+  }
+
+  const roots = conversations.filter(c => !c.parentId && (showArchived || !c.archived));
   
   const treeContainer = document.createElement('div');
   treeContainer.className = 'history-tree';
@@ -545,10 +942,12 @@ function renderTreeItem(conversation) {
   row.className = 'history-row' + (conversation.id === activeConversation.id ? ' is-active' : '');
   
   row.addEventListener('click', (e) => {
-    if (e.target.closest('.toggle-btn')) return;
+    if (e.target.closest('.toggle-btn, .row-action-btn')) return;
     switchConversation(conversation);
   });
 
+  enableTreeDragAndDrop(row, conversation);
+
   const children = conversations.filter(c => c.parentId === conversation.id);
   const hasChildren = children.length > 0;
 
@@ -569,10 +968,33 @@ function renderTreeItem(conversation) {
     row.appendChild(spacer);
   }
 
+  if (conversation.forkedFrom) {
+    row.classList.add('is-fork');
+    const forkIcon = document.createElement('span');
+    forkIcon.className = 'fork-icon';
+    forkIcon.title = 'Ветка чата';
+    forkIcon.textContent = '⑂';
+    row.appendChild(forkIcon);
+  }
+
   const title = document.createElement('span');
   title.className = 'history-item-title';
   title.textContent = conversation.title;
   row.appendChild(title);
+
+  if (conversation.parentId) {
+    row.appendChild(createRowActionButton('⇱', 'Сделать корневым чатом', () => moveSession(conversation, null)));
+  } else {
+    if (conversation.archived) {
+      row.classList.add('is-archived');
+    }
+    row.appendChild(createRowActionButton(
+      conversation.archived ? '⇪' : '⊟',
+      conversation.archived ? 'Вернуть из архива' : 'В архив',
+      () => toggleArchive(conversation)
+    ));
+  }
+  row.appendChild(createRowActionButton('✕', 'Удалить', () => deleteConversation(conversation)));
   
   group.appendChild(row);
 
@@ -590,105 +1012,516 @@ function renderTreeItem(conversation) {
   return group;
 }
 
-let isStreaming = false;
-let shouldAutoScroll = true; // Track if we should auto-scroll during streaming
-let lastScrollTop = 0; // Track scroll position to detect upward scrolling
-
-function scrollToBottom() {
-  // During streaming, only auto-scroll if user hasn't scrolled up
-  if (isStreaming && !shouldAutoScroll) return;
-  
-  requestAnimationFrame(() => {
-    chatStream.scrollTop = chatStream.scrollHeight;
-    lastScrollTop = chatStream.scrollTop;
-    // Save scroll position
-    if (activeConversation) {
-      localStorage.setItem(`scrollTop_${activeConversation.id}`, chatStream.scrollTop.toString());
-    }
-  });
+function createRowActionButton(symbol, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'row-action-btn';
+  button.title = title;
+  button.textContent = symbol;
+  button.onclick = (e) => {
+    e.stopPropagation();
+    onClick();
+  };
+  return button;
 }
 
-// Save scroll position periodically and on scroll
-chatStream.addEventListener('scroll', () => {
-  const currentScrollTop = chatStream.scrollTop;
-  
-  // If user scrolls up during streaming (more than 10px to avoid false positives), disable auto-scroll
-  if (isStreaming && currentScrollTop < lastScrollTop - 10) {
-    shouldAutoScroll = false;
-  }
-  
-  lastScrollTop = currentScrollTop;
-  
-  // Save scroll position
-  if (activeConversation) {
-    localStorage.setItem(`scrollTop_${activeConversation.id}`, currentScrollTop.toString());
-  }
-});
+// --- Search ---
 
-function setLoading(state) {
-  sendBtn.disabled = state;
-}
+let searchDebounceTimer = null;
+let searchRequestId = 0;
 
-function handleSelection() {
-  const selection = window.getSelection();
-  if (!selection || selection.isCollapsed) return;
-  const range = selection.getRangeAt(0);
-  const ancestor = range.commonAncestorContainer;
-  const bubble = ancestor instanceof Element
-    ? ancestor.closest('.message--bot, .message--user')
-    : ancestor?.parentElement?.closest('.message--bot, .message--user');
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(runSearch, 250);
+});
 
-  if (!bubble || !bubble.dataset.messageId) {
-    // Allow default selection behavior if not in a message bubble
-    return;
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    searchInput.value = '';
+    runSearch();
   }
+});
 
-  if (!bubble.contains(range.startContainer) || !bubble.contains(range.endContainer)) {
-    // Allow default selection behavior if selection spans outside message
-    return;
-  }
+async function runSearch() {
+  const query = searchInput.value.trim();
+  const requestId = ++searchRequestId;
 
-  const message = activeConversation.messages.find((msg) => msg.id === bubble.dataset.messageId);
-  if (!message) {
-    // Allow default selection behavior if message not found
+  if (query.length < 2) {
+    searchQuery = '';
+    searchResults = [];
+    updateHistory();
     return;
   }
 
-  // For user messages, always allow default selection behavior (copying, etc.)
-  if (message.role === 'user') {
-    return;
+  try {
+    const res = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+    if (!res.ok) throw new Error('Сервер недоступен');
+    const data = await res.json();
+    // Ignore responses that arrive after a newer query was typed
+    if (requestId !== searchRequestId) return;
+    searchQuery = query;
+    searchResults = data.results;
+  } catch (err) {
+    console.error('Search failed', err);
+    searchQuery = query;
+    searchResults = [];
   }
+  updateHistory();
+}
 
-  // If highlighting is disabled for assistant message, allow default selection behavior (copying, etc.)
-  if (message.disableHighlighting) {
-    return;
-  }
+const SEARCH_FIELD_LABELS = {
+  title: 'Название',
+  originTerm: 'Термин',
+  highlight: 'Выделение',
+  summary: 'Саммари',
+  message: 'Сообщение'
+};
 
-  // Only process highlighting for assistant messages
-  if (message.role !== 'assistant') {
-    return;
-  }
+function renderSearchResults() {
+  const list = document.createElement('div');
+  list.className = 'search-results';
 
-  const offsets = getDisplayOffsets(range, bubble);
-  if (!offsets) {
-    selection.removeAllRanges();
-    return;
+  if (!searchResults.length) {
+    const empty = document.createElement('div');
+    empty.className = 'trash-empty';
+    empty.textContent = 'Ничего не найдено';
+    list.appendChild(empty);
   }
 
-  if (message.highlights?.some((highlight) => highlight.start === offsets.start && highlight.end === offsets.end)) {
-    selection.removeAllRanges();
-    return;
+  searchResults.forEach(result => {
+    const item = document.createElement('div');
+    item.className = 'search-result';
+
+    const title = document.createElement('div');
+    title.className = 'search-result__title';
+    title.textContent = result.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'search-result__meta';
+    meta.textContent = [SEARCH_FIELD_LABELS[result.field], ...result.path].join(' · ');
+
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result__snippet';
+    let cursor = 0;
+    result.ranges.forEach(([start, end]) => {
+      snippet.append(result.snippet.slice(cursor, start));
+      const hit = document.createElement('mark');
+      hit.textContent = result.snippet.slice(start, end);
+      snippet.append(hit);
+      cursor = end;
+    });
+    snippet.append(result.snippet.slice(cursor));
+
+    item.append(title, meta, snippet);
+    item.addEventListener('click', () => openSearchResult(result));
+    list.appendChild(item);
+  });
+
+  historyEl.replaceChildren(list);
+}
+
+function openSearchResult(result) {
+  const conversation = conversations.find(c => c.id === result.sessionId);
+  if (!conversation) return;
+
+  focusMessageId = result.messageId;
+  if (conversation === activeConversation) {
+    renderConversation();
+  } else {
+    switchConversation(conversation);
   }
+}
 
-  // Check if selection is within a KaTeX element (formula)
-  const katexElement = range.startContainer.nodeType === Node.TEXT_NODE
-    ? range.startContainer.parentElement?.closest('.katex, .katex-display')
-    : range.startContainer.closest('.katex, .katex-display');
-  
-  let fragmentText = selection.toString().trim();
-  let extractedFormulaText = null;
-  
-  // If selection is within a KaTeX element, extract the real formula text from message.content
+// --- Accounts ---
+
+// Resolves once the server accepts our auth cookie, showing the sign-in
+// screen until the user logs in or registers
+async function ensureSignedIn() {
+  const response = await fetch('/api/auth/me');
+  if (response.ok) return;
+
+  const data = await response.json().catch(() => ({}));
+  authRegister.hidden = !data.registrationOpen;
+  authScreen.hidden = false;
+  authUsername.focus();
+
+  await new Promise(resolve => {
+    const submit = async (mode) => {
+      authError.hidden = true;
+      try {
+        const res = await fetch(`/api/auth/${mode}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username: authUsername.value.trim(), password: authPassword.value })
+        });
+        const result = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error(res.status === 429 ? describeRequestError(res, result) : result.error || `Ошибка ${res.status}`);
+        }
+        authPassword.value = '';
+        authScreen.hidden = true;
+        resolve();
+      } catch (error) {
+        authError.textContent = error.message;
+        authError.hidden = false;
+      }
+    };
+
+    authForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit('login');
+    });
+    authRegister.addEventListener('click', () => {
+      if (authForm.reportValidity()) submit('register');
+    });
+  });
+}
+
+logoutBtn.addEventListener('click', async () => {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } finally {
+    location.reload();
+  }
+});
+
+// --- Archive & Trash ---
+
+archiveToggle.addEventListener('click', () => {
+  showArchived = !showArchived;
+  archiveToggle.classList.toggle('is-active', showArchived);
+  updateHistory();
+});
+
+trashToggle.addEventListener('click', () => {
+  sidebarView = sidebarView === 'trash' ? 'tree' : 'trash';
+  trashToggle.classList.toggle('is-active', sidebarView === 'trash');
+  updateHistory();
+});
+
+async function toggleArchive(conversation) {
+  conversation.archived = !conversation.archived;
+  updateHistory();
+  await saveSession(conversation);
+}
+
+function collectDescendants(conversationId) {
+  const children = conversations.filter(c => c.parentId === conversationId);
+  return children.flatMap(child => [child, ...collectDescendants(child.id)]);
+}
+
+function formatChildChatCount(count) {
+  return count === 1 ? '1 дочерним чатом' : `${count} дочерними чатами`;
+}
+
+async function deleteConversation(conversation) {
+  const descendants = collectDescendants(conversation.id);
+  const question = descendants.length
+    ? `Удалить «${conversation.title}» вместе с ${formatChildChatCount(descendants.length)}?`
+    : `Удалить «${conversation.title}»?`;
+  if (!confirm(`${question}\nЧаты можно будет восстановить из корзины.`)) return;
+
+  const removedIds = new Set([conversation.id, ...descendants.map(c => c.id)]);
+
+  await saveQueues.get(conversation.id);
+  try {
+    const res = await fetch(`/api/sessions/${conversation.id}`, { method: 'DELETE' });
+    // 404 means the chat was never saved and only exists in memory
+    if (!res.ok && res.status !== 404) throw new Error('Сервер недоступен');
+  } catch (err) {
+    console.error('Failed to delete session', err);
+    alert('Не удалось удалить чат');
+    return;
+  }
+
+  conversations = conversations.filter(c => !removedIds.has(c.id));
+
+  if (removedIds.has(activeConversation.id)) {
+    const fallback = conversations.find(c => c.id === conversation.parentId) ||
+      conversations.find(c => !c.parentId && !c.archived);
+    activeConversation = null;
+    if (fallback) {
+      await switchConversation(fallback);
+    } else {
+      const emptyChat = createEmptyConversation();
+      conversations = [emptyChat];
+      await switchConversation(emptyChat);
+    }
+  } else {
+    updateHistory();
+    renderConversation();
+  }
+
+  if (graphCurtain.classList.contains('is-open')) {
+    renderGraph();
+  }
+}
+
+async function renderTrash() {
+  const list = document.createElement('div');
+  list.className = 'trash-list';
+  historyEl.replaceChildren(list);
+
+  let items = [];
+  try {
+    const res = await fetch('/api/trash');
+    if (res.ok) {
+      items = await res.json();
+    }
+  } catch (err) {
+    console.error('Failed to load trash', err);
+  }
+
+  if (!items.length) {
+    const empty = document.createElement('div');
+    empty.className = 'trash-empty';
+    empty.textContent = 'Корзина пуста';
+    list.appendChild(empty);
+    return;
+  }
+
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'trash-item';
+
+    const title = document.createElement('div');
+    title.className = 'history-item-title';
+    title.textContent = item.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'trash-item__meta';
+    const extra = item.sessionCount > 1 ? ` · ${item.sessionCount} чат(ов)` : '';
+    meta.textContent = `Удалён ${new Date(item.deletedAt).toLocaleDateString()}${extra} · до ${new Date(item.purgeAt).toLocaleDateString()}`;
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'sidebar-toggle';
+    restoreBtn.textContent = 'Восстановить';
+    restoreBtn.onclick = () => restoreFromTrash(item.id);
+
+    row.append(title, meta, restoreBtn);
+    list.appendChild(row);
+  });
+}
+
+async function restoreFromTrash(sessionId) {
+  try {
+    const res = await fetch(`/api/trash/${sessionId}/restore`, { method: 'POST' });
+    if (!res.ok) throw new Error('Сервер недоступен');
+
+    // Pull in the restored subtree without replacing objects we already hold
+    const sessionsRes = await fetch('/api/sessions');
+    if (sessionsRes.ok) {
+      const remote = await sessionsRes.json();
+      const knownIds = new Set(conversations.map(c => c.id));
+      conversations = [...conversations, ...remote.filter(c => !knownIds.has(c.id))];
+    }
+    updateHistory();
+  } catch (err) {
+    console.error('Failed to restore session', err);
+    alert('Не удалось восстановить чат');
+  }
+}
+
+// --- Tree Reparenting ---
+
+let draggedConversationId = null;
+
+function isDescendantOf(conversation, ancestorId) {
+  let current = conversation;
+  while (current?.parentId) {
+    if (current.parentId === ancestorId) return true;
+    current = conversations.find(c => c.id === current.parentId);
+  }
+  return false;
+}
+
+function canDropOn(target) {
+  if (!draggedConversationId || draggedConversationId === target.id) return false;
+  const dragged = conversations.find(c => c.id === draggedConversationId);
+  if (!dragged || dragged.parentId === target.id) return false;
+  return !isDescendantOf(target, dragged.id);
+}
+
+function enableTreeDragAndDrop(row, conversation) {
+  row.draggable = true;
+
+  row.addEventListener('dragstart', (e) => {
+    draggedConversationId = conversation.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', conversation.id);
+    row.classList.add('is-dragging');
+  });
+
+  row.addEventListener('dragend', () => {
+    draggedConversationId = null;
+    row.classList.remove('is-dragging');
+    historyEl.querySelectorAll('.is-drop-target').forEach(el => el.classList.remove('is-drop-target'));
+  });
+
+  row.addEventListener('dragover', (e) => {
+    if (!canDropOn(conversation)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    row.classList.add('is-drop-target');
+  });
+
+  row.addEventListener('dragleave', () => {
+    row.classList.remove('is-drop-target');
+  });
+
+  row.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    row.classList.remove('is-drop-target');
+    if (!canDropOn(conversation)) return;
+    const dragged = conversations.find(c => c.id === draggedConversationId);
+    if (dragged) {
+      moveSession(dragged, conversation.id);
+    }
+  });
+}
+
+async function moveSession(conversation, newParentId) {
+  // Flush pending edits so the move does not race a save of the same session
+  await saveQueues.get(conversation.id);
+
+  try {
+    const res = await fetch(`/api/sessions/${conversation.id}/move`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      // The server keeps the highlight anchor, which comes back to life when
+      // the chat is dragged back to the one it was opened from
+      body: JSON.stringify({ parentId: newParentId })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || 'Сервер недоступен');
+    }
+
+    const data = await res.json();
+    conversation.parentId = data.session.parentId;
+    conversation.originHighlightId = data.session.originHighlightId;
+    // Recomputed for the new parent, or dropped
+    conversation.sourceMessageId = data.session.sourceMessageId;
+    conversation.sourcePassage = data.session.sourcePassage;
+    conversation.revision = data.session.revision;
+
+    const newParent = conversations.find(c => c.id === newParentId);
+    if (newParent && !newParent.isExpanded) {
+      newParent.isExpanded = true;
+      saveSession(newParent);
+    }
+
+    updateHistory();
+    renderConversation();
+    updateParentChatButton();
+    if (graphCurtain.classList.contains('is-open')) {
+      renderGraph();
+    }
+  } catch (err) {
+    console.error('Failed to move session', err);
+    alert(`Не удалось переместить чат: ${err.message}`);
+  }
+}
+
+let isStreaming = false;
+let shouldAutoScroll = true; // Track if we should auto-scroll during streaming
+let lastScrollTop = 0; // Track scroll position to detect upward scrolling
+
+function scrollToBottom() {
+  // During streaming, only auto-scroll if user hasn't scrolled up
+  if (isStreaming && !shouldAutoScroll) return;
+  
+  requestAnimationFrame(() => {
+    chatStream.scrollTop = chatStream.scrollHeight;
+    lastScrollTop = chatStream.scrollTop;
+    // Save scroll position
+    if (activeConversation) {
+      localStorage.setItem(`scrollTop_${activeConversation.id}`, chatStream.scrollTop.toString());
+    }
+  });
+}
+
+// Save scroll position periodically and on scroll
+chatStream.addEventListener('scroll', () => {
+  const currentScrollTop = chatStream.scrollTop;
+  
+  // If user scrolls up during streaming (more than 10px to avoid false positives), disable auto-scroll
+  if (isStreaming && currentScrollTop < lastScrollTop - 10) {
+    shouldAutoScroll = false;
+  }
+  
+  lastScrollTop = currentScrollTop;
+  
+  // Save scroll position
+  if (activeConversation) {
+    localStorage.setItem(`scrollTop_${activeConversation.id}`, currentScrollTop.toString());
+  }
+});
+
+function setLoading(state) {
+  sendBtn.disabled = state;
+}
+
+function handleSelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed) return;
+  const range = selection.getRangeAt(0);
+  const ancestor = range.commonAncestorContainer;
+  const bubble = ancestor instanceof Element
+    ? ancestor.closest('.message--bot, .message--user')
+    : ancestor?.parentElement?.closest('.message--bot, .message--user');
+
+  if (!bubble || !bubble.dataset.messageId) {
+    // Allow default selection behavior if not in a message bubble
+    return;
+  }
+
+  if (!bubble.contains(range.startContainer) || !bubble.contains(range.endContainer)) {
+    // Allow default selection behavior if selection spans outside message
+    return;
+  }
+
+  const message = activeConversation.messages.find((msg) => msg.id === bubble.dataset.messageId);
+  if (!message) {
+    // Allow default selection behavior if message not found
+    return;
+  }
+
+  // For user messages, always allow default selection behavior (copying, etc.)
+  if (message.role === 'user') {
+    return;
+  }
+
+  // If highlighting is disabled for assistant message, allow default selection behavior (copying, etc.)
+  if (message.disableHighlighting) {
+    return;
+  }
+
+  // Only process highlighting for assistant messages
+  if (message.role !== 'assistant') {
+    return;
+  }
+
+  const offsets = getDisplayOffsets(range, bubble);
+  if (!offsets) {
+    selection.removeAllRanges();
+    return;
+  }
+
+  if (message.highlights?.some((highlight) => highlight.start === offsets.start && highlight.end === offsets.end)) {
+    selection.removeAllRanges();
+    return;
+  }
+
+  // Check if selection is within a KaTeX element (formula)
+  const katexElement = range.startContainer.nodeType === Node.TEXT_NODE
+    ? range.startContainer.parentElement?.closest('.katex, .katex-display')
+    : range.startContainer.closest('.katex, .katex-display');
+  
+  let fragmentText = selection.toString().trim();
+  let extractedFormulaText = null;
+  
+  // If selection is within a KaTeX element, extract the real formula text from message.content
   if (katexElement) {
     // Find the formula in message.content that corresponds to this KaTeX element
     // Use the selection offsets to find which formula is at this position
@@ -790,6 +1623,14 @@ function handleSelection() {
     return;
   }
 
+  // The server refuses to save longer highlights, and with them the whole chat
+  const maxLength = generationConfig?.termMaxLength;
+  if (maxLength && fragmentText.length > maxLength) {
+    selection.removeAllRanges();
+    alert(`Фрагмент слишком длинный (${fragmentText.length} символов). Выделите не больше ${maxLength}.`);
+    return;
+  }
+
   message.highlights = message.highlights || [];
   const highlightId = crypto.randomUUID();
   message.highlights.push({
@@ -1080,123 +1921,968 @@ function updateParentChatButton() {
   
   if (activeConversation.parentId) {
     parentChatBtn.hidden = false;
+    mergeParentBtn.hidden = false;
   } else {
     parentChatBtn.hidden = true;
+    mergeParentBtn.hidden = true;
   }
 }
 
-async function generateChildChatInitialMessage(parentSummary, selectedText, sourceMessageText) {
-  const prompt = `Ты помогаешь пользователю углубиться в изучение термина или концепции. 
-
-Контекст родительского чата (краткое саммари):
-${parentSummary || 'Контекст недоступен'}
-
-Исходное сообщение, из которого был выделен фрагмент:
-${sourceMessageText || 'Контекст недоступен'}
-
-Пользователь выделил следующий фрагмент для углубленного изучения:
-${selectedText}
+// The server writes the children and the parent in one go; fragments whose
+// opener failed stay pending and can be tried again
+async function handleDeepDive() {
+  const fragments = activeConversation.pendingFragments || [];
+  if (!fragments.length) return;
+  const parent = activeConversation;
 
-Твоя задача: очень кратко (1-2 предложения) обрисовать этот термин/концепцию/фрагмент и проактивно пригласить пользователя к диалогу. Будь дружелюбным и заинтересованным. Предложи конкретные направления для обсуждения или задай открытый вопрос, который поможет начать диалог. Если в выделенном фрагменте есть формулы - обязательно продублируй их в своем сообщении.`;
+  // Show loading indicator in center of screen
+  const loadingOverlay = document.createElement('div');
+  loadingOverlay.className = 'loading-overlay';
+  loadingOverlay.innerHTML = '<div class="spinner"></div>';
+  document.body.appendChild(loadingOverlay);
+  setLoading(true);
 
+  let data = null;
   try {
-    const response = await fetch('/api/chat', {
+    // The server takes the fragments from the saved parent
+    await saveSession(parent);
+    const response = await fetch(`/api/sessions/${parent.id}/deep-dive`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        messages: [{ role: 'user', content: prompt }],
-        sessionId: null, // No session for this one-off request
-        stream: false // No streaming for initial messages
-      })
+      body: JSON.stringify({ fragmentIds: fragments.map(f => f.id) })
     });
-
-    if (!response.ok) {
-      throw new Error('Сервер недоступен');
+    data = await response.json();
+    if (!response.ok && !data.errors) {
+      throw new Error(describeRequestError(response, data));
     }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || `${selectedText}: Вам не понятен термин целиком или есть конкретный вопрос по этому фрагменту?`;
   } catch (error) {
-    console.error('Error generating initial message:', error);
-    // Fallback to default message
-    return `${selectedText}: Вам не понятен термин целиком или есть конкретный вопрос по этому фрагменту?`;
+    alert(`Не удалось углубиться в термины: ${error.message}`);
+    return;
+  } finally {
+    setLoading(false);
+    loadingOverlay.remove();
   }
-}
 
-async function handleDeepDive() {
-  const fragments = activeConversation.pendingFragments || [];
-  if (!fragments.length) return;
+  mergeRemoteSession(parent, data.session);
+  parent.pendingFragments = data.session.pendingFragments || [];
+  parent.isExpanded = data.session.isExpanded;
 
-  // Get parent summary
-  const parentSummary = activeConversation.summary || '';
+  if (data.errors.length) {
+    const failed = data.errors.map(e => `«${e.text}»: ${e.error}`).join('\n');
+    alert(`Не удалось создать дочерние чаты:\n${failed}`);
+  }
 
-  // Show loading indicator in center of screen
-  const loadingOverlay = document.createElement('div');
-  loadingOverlay.className = 'loading-overlay';
-  loadingOverlay.innerHTML = '<div class="spinner"></div>';
-  document.body.appendChild(loadingOverlay);
-  
-  // Generate initial messages for all fragments
-  setLoading(true);
-  const newConversations = await Promise.all(
-    fragments.map(async (fragment) => {
-      // Find the source message that contains this fragment
-      const sourceMessage = activeConversation.messages.find(msg => msg.id === fragment.messageId);
-      const sourceMessageText = sourceMessage?.content || '';
-      
-      const initialMessage = await generateChildChatInitialMessage(
-        parentSummary, 
-        fragment.text,
-        sourceMessageText
-      );
-      
-      return {
-        id: crypto.randomUUID(),
-        title: fragment.text.slice(0, 32) || 'Термин',
-        pendingFragments: [],
-        parentId: activeConversation.id,
-        originTerm: fragment.text,
-        originHighlightId: fragment.id, // Save highlight ID for exact matching
-        isExpanded: true,
-        summary: '',
-        messages: [
-          {
-            id: crypto.randomUUID(),
-            role: 'assistant',
-            content: initialMessage,
-            highlights: []
-          }
-        ]
-      };
-    })
-  );
-
-  setLoading(false);
-  
-  // Remove loading indicator
-  loadingOverlay.remove();
-
-  activeConversation.pendingFragments = [];
-  activeConversation.isExpanded = true; 
-  
-  await saveSession(activeConversation);
-  await Promise.all(newConversations.map(saveSession));
-  
-  conversations = [...conversations, ...newConversations];
+  const newConversations = data.sessions || [];
+  if (!newConversations.length) {
+    renderConversation();
+    return;
+  }
+  conversations = [...conversations, ...newConversations];
 
   // Trigger summary for parent before switching to child
-  // Only if parent has NEW messages since last summarization
-  if (activeConversation.messages.length > 0 &&
-      activeConversation.messages.length > (activeConversation.lastSummarizedMessageCount || 0)) {
-    triggerSummarization(activeConversation.id);
+  if (parent.messages.length > 0) {
+    triggerSummarization(parent.id);
   }
 
   updateHistory();
+  // The user may have moved on while the openers were generated
+  if (activeConversation !== parent) return;
   activeConversation = newConversations[0];
   renderConversation();
   updateParentChatButton();
 }
 
+async function handleBranchFromMessage(messageId) {
+  const source = activeConversation;
+  const index = source.messages.findIndex(m => m.id === messageId);
+  if (index === -1) return;
+
+  // Copies get fresh ids; highlights stay behind since their child chats belong to the source
+  const messages = source.messages.slice(0, index + 1).map(m => ({
+    id: crypto.randomUUID(),
+    role: m.role,
+    content: m.content,
+    highlights: [],
+    disableHighlighting: m.disableHighlighting
+  }));
+
+  const fork = {
+    ...createEmptyConversation(),
+    title: `${source.title} ⑂`.slice(0, 32),
+    parentId: source.id,
+    forkedFrom: { sessionId: source.id, messageId },
+    messages
+  };
+
+  source.isExpanded = true;
+  await saveSession(source);
+  await saveSession(fork);
+
+  conversations = [...conversations, fork];
+  await switchConversation(fork);
+  textarea.focus();
+}
+
+function renderMergeHeader(message) {
+  const header = document.createElement('button');
+  header.className = 'merge-header';
+  header.title = 'Перейти в дочерний чат';
+  header.textContent = message.originTerm
+    ? `⤴ Итоги углубления в «${message.originTerm}»`
+    : '⤴ Итоги дочернего чата';
+  header.onclick = (e) => {
+    e.stopPropagation();
+    const child = conversations.find(c => c.id === message.mergedFrom?.sessionId);
+    if (child) {
+      switchConversation(child);
+    }
+  };
+  return header;
+}
+
+async function handleMergeIntoParent() {
+  const child = activeConversation;
+  const parent = conversations.find(c => c.id === child.parentId);
+  if (!parent || !child.messages.length) return;
+
+  mergeParentBtn.disabled = true;
+  showContextToast(true);
+  try {
+    // The server condenses what is on disk, so flush pending edits first
+    await saveQueues.get(child.id);
+    await saveQueues.get(parent.id);
+
+    const res = await fetch(`/api/sessions/${child.id}/merge`, { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(describeRequestError(res, data));
+
+    Object.assign(parent, data.session);
+    await switchConversation(parent);
+
+    const mergeMessage = parent.messages.find(m => m.type === 'merge' && m.mergedFrom?.sessionId === child.id);
+    if (mergeMessage) {
+      requestAnimationFrame(() => {
+        chatStream.querySelector(`[data-message-id="${mergeMessage.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+    }
+  } catch (err) {
+    console.error('Failed to merge into parent', err);
+    alert(`Не удалось слить чат в родительский: ${err.message}`);
+  } finally {
+    mergeParentBtn.disabled = false;
+    showContextToast(false);
+  }
+}
+
+// --- Message Versions ---
+//
+// Regenerating an answer or editing a question keeps the previous text as an
+// alternative version of the message (`message.versions`, `message.activeVersion`).
+// The active version is the message itself plus everything after it; every
+// other entry stores its own text, highlights and the conversation that
+// followed it, so highlights (and the child chats opened from them) come back
+// together with their version.
+
+const VERSIONED_FIELDS = ['content', 'highlights', 'truncated', 'error', 'usage', 'model'];
+let editingMessageId = null;
+
+// Moves the active version of messages[index] (and the messages after it) into
+// its slot in `versions`, leaving the message as the last one of the chat
+function stashActiveVersion(conversation, index) {
+  const message = conversation.messages[index];
+  if (!message.versions) {
+    message.versions = [{}];
+    message.activeVersion = 0;
+  }
+
+  const version = { following: conversation.messages.slice(index + 1) };
+  VERSIONED_FIELDS.forEach(field => {
+    if (message[field] !== undefined) version[field] = message[field];
+  });
+  message.versions[message.activeVersion] = version;
+  conversation.messages = conversation.messages.slice(0, index + 1);
+  return message;
+}
+
+function activateVersion(conversation, index, versionIndex) {
+  const message = conversation.messages[index];
+  const { following = [], ...fields } = message.versions[versionIndex];
+  VERSIONED_FIELDS.forEach(field => delete message[field]);
+  Object.assign(message, { highlights: [], ...fields });
+  message.versions[versionIndex] = {};
+  message.activeVersion = versionIndex;
+  conversation.messages.push(...following);
+}
+
+function startNewVersion(conversation, index, content) {
+  const message = stashActiveVersion(conversation, index);
+  VERSIONED_FIELDS.forEach(field => delete message[field]);
+  message.content = content;
+  message.highlights = [];
+  message.versions.push({});
+  message.activeVersion = message.versions.length - 1;
+  return message;
+}
+
+function renderVersionSwitcher(message, disabled) {
+  const switcher = document.createElement('div');
+  switcher.className = 'version-switcher';
+
+  const total = message.versions.length;
+  const current = message.activeVersion ?? total - 1;
+  const step = (delta, symbol, title) => {
+    const btn = document.createElement('button');
+    btn.className = 'action-btn version-btn';
+    btn.textContent = symbol;
+    btn.title = title;
+    btn.disabled = disabled || current + delta < 0 || current + delta >= total;
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      switchMessageVersion(message.id, current + delta);
+    };
+    return btn;
+  };
+
+  const label = document.createElement('span');
+  label.className = 'version-switcher__label';
+  label.textContent = `${current + 1}/${total}`;
+
+  switcher.append(step(-1, '‹', 'Предыдущая версия'), label, step(1, '›', 'Следующая версия'));
+  return switcher;
+}
+
+async function switchMessageVersion(messageId, versionIndex) {
+  const conversation = activeConversation;
+  const index = conversation.messages.findIndex(m => m.id === messageId);
+  if (index === -1 || findPendingReply(conversation)) return;
+
+  stashActiveVersion(conversation, index);
+  activateVersion(conversation, index, versionIndex);
+  renderConversation();
+  await saveSession(conversation);
+}
+
+async function regenerateMessage(messageId) {
+  const conversation = activeConversation;
+  const index = conversation.messages.findIndex(m => m.id === messageId);
+  if (index === -1 || findPendingReply(conversation)) return;
+
+  startNewVersion(conversation, index, '');
+  renderConversation();
+  setLoading(true);
+  await saveSession(conversation);
+  await requestReply(conversation, messageId);
+  setLoading(false);
+}
+
+function renderMessageEditor(message) {
+  const editor = document.createElement('form');
+  editor.className = 'message-editor';
+
+  const input = document.createElement('textarea');
+  input.className = 'message-editor__input';
+  input.value = message.content;
+  input.rows = Math.min(10, message.content.split('\n').length + 1);
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'submit';
+  submitBtn.className = 'message-editor__submit';
+  submitBtn.textContent = 'Отправить';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'message-editor__cancel';
+  cancelBtn.textContent = 'Отмена';
+  cancelBtn.onclick = () => {
+    editingMessageId = null;
+    renderConversation();
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      cancelBtn.click();
+    } else if (event.key === 'Enter' && !event.shiftKey && !event.metaKey && !event.ctrlKey) {
+      event.preventDefault();
+      editor.requestSubmit();
+    }
+  });
+  editor.addEventListener('submit', (event) => {
+    event.preventDefault();
+    resendEditedMessage(message.id, input.value.trim());
+  });
+
+  const buttons = document.createElement('div');
+  buttons.className = 'message-editor__buttons';
+  buttons.append(cancelBtn, submitBtn);
+  editor.append(input, buttons);
+  requestAnimationFrame(() => input.focus());
+  return editor;
+}
+
+async function resendEditedMessage(messageId, content) {
+  const conversation = activeConversation;
+  const index = conversation.messages.findIndex(m => m.id === messageId);
+  editingMessageId = null;
+  if (index === -1 || !content || findPendingReply(conversation)) {
+    renderConversation();
+    return;
+  }
+
+  startNewVersion(conversation, index, content);
+  renderConversation();
+  setLoading(true);
+  await saveSession(conversation);
+  await requestReply(conversation);
+  setLoading(false);
+}
+
+// --- Summary ---
+
+const SUMMARY_LENGTH_LABELS = { short: 'Короткое', medium: 'Среднее', long: 'Подробное' };
+
+summaryBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (summaryPopover.hidden) {
+    openSummaryPopover();
+  } else {
+    closeSummaryPopover();
+  }
+});
+
+summaryPopover.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveSummaryEdits();
+});
+
+summaryRefresh.addEventListener('click', async () => {
+  const conversation = activeConversation;
+  summaryRefresh.disabled = true;
+  await saveQueues.get(conversation.id);
+  const error = await triggerSummarization(conversation.id);
+  summaryRefresh.disabled = false;
+  if (!summaryPopover.hidden && conversation === activeConversation) {
+    fillSummaryForm(conversation);
+    if (error) {
+      summaryError.textContent = `Саммари не обновлено: ${error}`;
+      summaryError.hidden = false;
+    }
+  }
+});
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+function fillSummaryForm(conversation) {
+  // Summaries written before they became structured only have the text
+  const structured = conversation.summaryStructured ||
+    { overview: conversation.summary || '', keyPoints: [], openQuestions: [], terms: [] };
+  summaryOverview.value = structured.overview;
+  summaryKeyPoints.value = structured.keyPoints.join('\n');
+  summaryOpenQuestions.value = structured.openQuestions.join('\n');
+  summaryTerms.value = structured.terms
+    .map(t => (t.definition ? `${t.term} — ${t.definition}` : t.term))
+    .join('\n');
+
+  const covered = conversation.lastSummarizedMessageCount || 0;
+  const total = conversation.messages.length;
+  summaryStatus.textContent = covered === total
+    ? 'Саммари учитывает все сообщения чата.'
+    : `Саммари учитывает ${covered} из ${total} сообщений — нажмите «Обновить».`;
+  summaryError.hidden = true;
+}
+
+function openSummaryPopover() {
+  fillSummaryForm(activeConversation);
+  summaryPopover.hidden = false;
+  summaryBtn.classList.add('is-active');
+  loadTreeSummary(activeConversation);
+}
+
+// Read-only: what the chat and its child chats add up to (computed by the server)
+async function loadTreeSummary(conversation) {
+  summaryTree.hidden = true;
+  if (!conversations.some(c => c.parentId === conversation.id)) return;
+
+  try {
+    const res = await fetch(`/api/sessions/${conversation.id}/tree-summary`);
+    if (!res.ok) throw new Error('Сервер недоступен');
+    const data = await res.json();
+    if (summaryPopover.hidden || conversation !== activeConversation || !data.children.length) return;
+
+    const title = document.createElement('div');
+    title.className = 'summary-popover__tree-title';
+    title.textContent = `Вместе с дочерними чатами (${data.children.map(c => `«${c.term}»`).join(', ')})`;
+    const text = document.createElement('div');
+    text.textContent = data.text;
+    summaryTree.replaceChildren(title, text);
+    summaryTree.hidden = false;
+  } catch (err) {
+    console.error('Failed to load tree summary', err);
+  }
+}
+
+function closeSummaryPopover() {
+  summaryPopover.hidden = true;
+  summaryBtn.classList.remove('is-active');
+}
+
+async function saveSummaryEdits() {
+  const conversation = activeConversation;
+  const summary = {
+    overview: summaryOverview.value.trim(),
+    keyPoints: splitLines(summaryKeyPoints.value),
+    openQuestions: splitLines(summaryOpenQuestions.value),
+    terms: splitLines(summaryTerms.value).map(line => {
+      const [term, ...definition] = line.split(/\s+[—–-]\s+/);
+      return { term: term.trim(), definition: definition.join(' — ').trim() };
+    })
+  };
+
+  try {
+    // The session must exist on the server before its summary can be edited
+    await saveSession(conversation);
+    const res = await fetch(`/api/sessions/${conversation.id}/summary`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ summary })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.fields ? `Проверьте поля: ${data.fields.join(', ')}` : data.error);
+    }
+
+    conversation.summary = data.summary;
+    conversation.summaryStructured = data.summaryStructured;
+    if (data.revision === (conversation.revision || 0) + 1) {
+      conversation.revision = data.revision;
+    }
+    closeSummaryPopover();
+  } catch (err) {
+    summaryError.textContent = err.message || 'Не удалось сохранить саммари';
+    summaryError.hidden = false;
+  }
+}
+
+// --- Usage ---
+
+usageBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (usagePopover.hidden) {
+    openUsagePopover();
+  } else {
+    closeUsagePopover();
+  }
+});
+
+function formatTokens(count) {
+  return (count || 0).toLocaleString('ru-RU');
+}
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+// Progress towards a limit: the monthly budget or the daily token quota
+function renderUsageBar(label, share) {
+  const bar = document.createElement('div');
+  bar.className = 'usage-popover__budget';
+  bar.innerHTML = '<div class="usage-popover__bar"><div></div></div><span></span>';
+  bar.querySelector('.usage-popover__bar div').style.width = `${Math.round(Math.min(1, share) * 100)}%`;
+  bar.classList.toggle('is-exceeded', share >= 1);
+  bar.querySelector('span').textContent = label;
+  return bar;
+}
+
+function renderUsageRow(label, totals) {
+  const row = document.createElement('div');
+  row.className = 'usage-popover__row';
+  const title = document.createElement('div');
+  title.className = 'usage-popover__label';
+  title.textContent = label;
+  const value = document.createElement('div');
+  value.className = 'usage-popover__value';
+  value.textContent = `${formatTokens(totals.totalTokens)} ток. · ${formatCost(totals.cost)}`;
+  value.title = `Запрос: ${formatTokens(totals.promptTokens)}, ответ: ${formatTokens(totals.completionTokens)}, вызовов: ${totals.calls}`;
+  row.append(title, value);
+  return row;
+}
+
+async function openUsagePopover() {
+  const conversation = activeConversation;
+  usagePopover.replaceChildren();
+  usagePopover.hidden = false;
+  usageBtn.classList.add('is-active');
+
+  try {
+    // Unsaved chats have no usage of their own yet
+    let data = null;
+    const res = await fetch(`/api/sessions/${conversation.id}/usage`);
+    if (res.ok) {
+      data = await res.json();
+    } else if (res.status === 404) {
+      const monthlyRes = await fetch('/api/usage');
+      if (!monthlyRes.ok) throw new Error('Сервер недоступен');
+      const monthly = await monthlyRes.json();
+      data = { monthly, daily: monthly.daily };
+    } else {
+      throw new Error('Сервер недоступен');
+    }
+    if (usagePopover.hidden || conversation !== activeConversation) return;
+
+    if (data.session) {
+      usagePopover.appendChild(renderUsageRow('Этот чат', data.session));
+    }
+    if (data.tree && data.sessionCount > 1) {
+      usagePopover.appendChild(renderUsageRow(`Вместе с дочерними (${data.sessionCount})`, data.tree));
+    }
+    usagePopover.appendChild(renderUsageRow(`За месяц (${data.monthly.month})`, data.monthly));
+
+    if (data.monthly.budget) {
+      usagePopover.appendChild(renderUsageBar(
+        `Бюджет: ${formatCost(data.monthly.cost)} из ${formatCost(data.monthly.budget)}`,
+        data.monthly.cost / data.monthly.budget
+      ));
+    }
+    if (data.daily?.quota) {
+      usagePopover.appendChild(renderUsageBar(
+        `Токенов сегодня: ${formatTokens(data.daily.totalTokens)} из ${formatTokens(data.daily.quota)}`,
+        data.daily.totalTokens / data.daily.quota
+      ));
+    }
+  } catch (err) {
+    console.error('Failed to load usage', err);
+    const error = document.createElement('div');
+    error.className = 'settings-popover__error';
+    error.textContent = 'Не удалось загрузить расход';
+    usagePopover.appendChild(error);
+  }
+}
+
+function closeUsagePopover() {
+  usagePopover.hidden = true;
+  usageBtn.classList.remove('is-active');
+}
+
+// --- Generation Settings ---
+
+settingsBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (settingsPopover.hidden) {
+    openSettingsPopover();
+  } else {
+    closeSettingsPopover();
+  }
+});
+
+settingsPopover.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveSettingsOverrides();
+});
+
+settingsReset.addEventListener('click', () => {
+  settingsModel.value = '';
+  settingsTemperature.value = '';
+  settingsMaxTokens.value = '';
+  settingsSystemPrompt.value = '';
+  settingsSummaryLength.value = '';
+});
+
+// Settings of the ancestors folded over the server defaults, root first
+function getInheritedSettings(conversation) {
+  const chain = [];
+  let current = conversations.find(c => c.id === conversation.parentId);
+  while (current) {
+    chain.unshift(current);
+    current = conversations.find(c => c.id === current.parentId);
+  }
+  const inherited = { ...(generationConfig?.defaults || {}) };
+  chain.forEach(c => {
+    Object.entries(c.settings || {}).forEach(([key, value]) => {
+      if (value != null) inherited[key] = value;
+    });
+  });
+  return inherited;
+}
+
+function openSettingsPopover() {
+  if (!generationConfig) return;
+  const own = activeConversation.settings || {};
+  const inherited = getInheritedSettings(activeConversation);
+
+  const inheritOption = document.createElement('option');
+  inheritOption.value = '';
+  inheritOption.textContent = `Наследовать (${inherited.model})`;
+  settingsModel.replaceChildren(inheritOption, ...generationConfig.models.map(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    return option;
+  }));
+  settingsModel.value = own.model || '';
+
+  const { temperature, max_tokens } = generationConfig.limits;
+  settingsTemperature.min = temperature.min;
+  settingsTemperature.max = temperature.max;
+  settingsTemperature.placeholder = String(inherited.temperature);
+  settingsTemperature.value = own.temperature ?? '';
+  settingsMaxTokens.min = max_tokens.min;
+  settingsMaxTokens.max = max_tokens.max;
+  settingsMaxTokens.placeholder = String(inherited.max_tokens);
+  settingsMaxTokens.value = own.max_tokens ?? '';
+  settingsSystemPrompt.placeholder = inherited.systemPrompt || 'Нет';
+  settingsSystemPrompt.value = own.systemPrompt ?? '';
+
+  const inheritLength = document.createElement('option');
+  inheritLength.value = '';
+  inheritLength.textContent = `Наследовать (${SUMMARY_LENGTH_LABELS[inherited.summaryLength] || inherited.summaryLength})`;
+  settingsSummaryLength.replaceChildren(inheritLength, ...generationConfig.limits.summaryLength.options.map(length => {
+    const option = document.createElement('option');
+    option.value = length;
+    option.textContent = SUMMARY_LENGTH_LABELS[length] || length;
+    return option;
+  }));
+  settingsSummaryLength.value = own.summaryLength || '';
+
+  settingsError.hidden = true;
+  settingsPopover.hidden = false;
+  settingsBtn.classList.add('is-active');
+}
+
+function closeSettingsPopover() {
+  settingsPopover.hidden = true;
+  settingsBtn.classList.remove('is-active');
+}
+
+async function saveSettingsOverrides() {
+  const overrides = {};
+  if (settingsModel.value) overrides.model = settingsModel.value;
+  if (settingsTemperature.value !== '') overrides.temperature = Number(settingsTemperature.value);
+  if (settingsMaxTokens.value !== '') overrides.max_tokens = Number(settingsMaxTokens.value);
+  if (settingsSystemPrompt.value.trim()) overrides.systemPrompt = settingsSystemPrompt.value.trim();
+  if (settingsSummaryLength.value) overrides.summaryLength = settingsSummaryLength.value;
+
+  if (!settingsPopover.checkValidity() || (overrides.max_tokens != null && !Number.isInteger(overrides.max_tokens))) {
+    settingsError.textContent = 'Проверьте значения: они вне допустимых пределов';
+    settingsError.hidden = false;
+    return;
+  }
+
+  activeConversation.settings = Object.keys(overrides).length ? overrides : null;
+  closeSettingsPopover();
+  await saveSession(activeConversation);
+}
+
+// --- Context Inspector ---
+
+contextBtn.addEventListener('click', () => {
+  if (contextPanel.hidden) {
+    openContextPanel();
+  } else {
+    closeContextPanel();
+  }
+});
+
+contextPanelClose.addEventListener('click', closeContextPanel);
+
+function openContextPanel() {
+  closeRevisionPanel();
+  contextPanel.hidden = false;
+  contextBtn.classList.add('is-active');
+  loadContextInspector();
+}
+
+function closeContextPanel() {
+  contextPanel.hidden = true;
+  contextBtn.classList.remove('is-active');
+}
+
+const CONTEXT_ROLE_LABELS = {
+  system: 'Система',
+  user: 'Пользователь',
+  assistant: 'Ассистент'
+};
+
+async function loadContextInspector() {
+  const sessionId = activeConversation.id;
+  let sent = null;
+  try {
+    const res = await fetch(`/api/sessions/${sessionId}/context`);
+    if (res.ok) {
+      sent = await res.json();
+    } else if (res.status !== 404) {
+      throw new Error('Сервер недоступен');
+    }
+  } catch (err) {
+    console.error('Failed to load sent context', err);
+  }
+
+  // The user may have switched chats while we were waiting
+  if (activeConversation.id !== sessionId) return;
+  renderContextInspector(sent);
+}
+
+function describeContextReport(report) {
+  const lines = [
+    `≈ ${formatTokens(report.estimatedTokens)} из ${formatTokens(report.budget)} токенов`,
+    `Сообщения беседы: ${report.messages.included} из ${report.messages.total}`
+  ];
+  if (report.earlierSummary) {
+    lines.push('Ранняя часть беседы заменена её саммари');
+  }
+  if (report.originTerm) {
+    lines.push(`Термин: «${report.originTerm}»${report.sourcePassage ? ' и фрагмент, где он встретился' : ''}`);
+  }
+  if (report.siblingTerms) {
+    lines.push(`Соседние термины: ${report.siblingTerms}`);
+  }
+  if (report.ancestorSummaries.total) {
+    lines.push(`Саммари родительских чатов: ${report.ancestorSummaries.included} из ${report.ancestorSummaries.total}`);
+  }
+  if (report.childDigests.total) {
+    lines.push(`Выводы дочерних чатов: ${report.childDigests.included} из ${report.childDigests.total}`);
+  }
+  return lines;
+}
+
+function renderContextInspector(sent) {
+  if (!sent) {
+    const empty = document.createElement('div');
+    empty.className = 'revision-item';
+    empty.textContent = 'Из этого чата ещё не было запросов к модели';
+    contextView.replaceChildren(empty);
+    return;
+  }
+
+  const overview = document.createElement('div');
+  overview.className = 'context-report';
+  const meta = document.createElement('div');
+  meta.className = 'revision-item__meta';
+  meta.textContent = `${sent.model} · ${new Date(sent.timestamp).toLocaleString()}`;
+  overview.append(meta, ...describeContextReport(sent.report).map(line => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    return row;
+  }));
+
+  const messages = sent.messages.map(message => {
+    const item = document.createElement('div');
+    item.className = `context-message context-message--${message.role}`;
+    const role = document.createElement('div');
+    role.className = 'context-message__role';
+    role.textContent = CONTEXT_ROLE_LABELS[message.role] || message.role;
+    const content = document.createElement('div');
+    content.className = 'context-message__content';
+    content.textContent = message.content;
+    item.append(role, content);
+    return item;
+  });
+
+  contextView.replaceChildren(overview, ...messages);
+}
+
+// --- Revision History ---
+
+revisionsBtn.addEventListener('click', () => {
+  if (revisionPanel.hidden) {
+    openRevisionPanel();
+  } else {
+    closeRevisionPanel();
+  }
+});
+
+revisionPanelClose.addEventListener('click', closeRevisionPanel);
+
+function openRevisionPanel() {
+  closeContextPanel();
+  revisionPanel.hidden = false;
+  revisionsBtn.classList.add('is-active');
+  loadRevisionHistory();
+}
+
+function closeRevisionPanel() {
+  revisionPanel.hidden = true;
+  revisionsBtn.classList.remove('is-active');
+}
+
+async function loadRevisionHistory() {
+  const sessionId = activeConversation.id;
+  // Make sure the latest local edits are on disk before listing
+  await saveQueues.get(sessionId);
+
+  let entries = [];
+  try {
+    const res = await fetch(`/api/sessions/${sessionId}/history`);
+    if (res.ok) {
+      entries = await res.json();
+    }
+  } catch (err) {
+    console.error('Failed to load session history', err);
+  }
+
+  // The user may have switched chats while we were waiting
+  if (activeConversation.id !== sessionId) return;
+  renderRevisionList(entries);
+}
+
+function renderRevisionList(entries) {
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'revision-item';
+    empty.textContent = 'Изменений пока нет';
+    revisionList.replaceChildren(empty);
+    return;
+  }
+
+  revisionList.replaceChildren(
+    ...entries.map((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'revision-item';
+
+      const meta = document.createElement('div');
+      meta.className = 'revision-item__meta';
+      const time = document.createElement('span');
+      time.textContent = `#${entry.revision} · ${new Date(entry.timestamp).toLocaleString()}`;
+      const delta = document.createElement('span');
+      delta.className = 'revision-item__delta' +
+        (entry.messageDelta > 0 ? ' is-positive' : entry.messageDelta < 0 ? ' is-negative' : '');
+      delta.textContent = entry.messageDelta > 0 ? `+${entry.messageDelta}` : String(entry.messageDelta);
+      meta.append(time, delta);
+
+      const description = document.createElement('div');
+      description.className = 'revision-item__description';
+      description.textContent = entry.description;
+
+      item.append(meta, description);
+
+      // The newest entry is the current state, there is nothing to compare or restore
+      if (index > 0) {
+        item.addEventListener('click', (e) => {
+          if (e.target.closest('.revision-diff')) return;
+          toggleRevisionDiff(item, entry.revision);
+        });
+      }
+
+      return item;
+    })
+  );
+}
+
+async function toggleRevisionDiff(item, revision) {
+  const existing = item.querySelector('.revision-diff');
+  if (existing) {
+    existing.remove();
+    item.classList.remove('is-open');
+    return;
+  }
+
+  item.classList.add('is-open');
+  const container = document.createElement('div');
+  container.className = 'revision-diff';
+  container.textContent = 'Загрузка...';
+  item.appendChild(container);
+
+  try {
+    const res = await fetch(`/api/sessions/${activeConversation.id}/diff?from=${revision}`);
+    if (!res.ok) throw new Error('Сервер недоступен');
+    const diff = await res.json();
+    renderRevisionDiff(container, diff, revision);
+  } catch (err) {
+    container.textContent = '⚠️ Не удалось загрузить изменения';
+  }
+}
+
+function renderRevisionDiff(container, diff, revision) {
+  const lines = [];
+  const addLine = (text, kind) => {
+    const line = document.createElement('div');
+    line.className = `revision-diff__line${kind ? ` revision-diff__line--${kind}` : ''}`;
+    line.textContent = text;
+    lines.push(line);
+  };
+  const preview = (text) => {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > 80 ? `${clean.slice(0, 80)}…` : clean;
+  };
+
+  // The diff goes from the old revision to now, so restoring undoes it
+  diff.messages.added.forEach(m => addLine(`+ ${m.role}: ${preview(m.content)}`, 'added'));
+  diff.messages.removed.forEach(m => addLine(`− ${m.role}: ${preview(m.content)}`, 'removed'));
+  diff.messages.edited.forEach(m => addLine(`~ ${m.role}: ${preview(m.before)} → ${preview(m.after)}`));
+  diff.highlights.added.forEach(h => addLine(`+ выделение «${preview(h.text)}»`, 'added'));
+  diff.highlights.removed.forEach(h => addLine(`− выделение «${preview(h.text)}»`, 'removed'));
+  if (diff.title) addLine(`~ название: ${diff.title.before} → ${diff.title.after}`);
+  if (diff.summary) addLine('~ саммари изменено');
+  if (!lines.length) addLine('Содержимое не отличается от текущего');
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.className = 'ghost revision-diff__restore';
+  restoreBtn.textContent = `Восстановить #${revision}`;
+  restoreBtn.addEventListener('click', () => restoreRevision(revision));
+
+  container.replaceChildren(...lines, restoreBtn);
+}
+
+async function restoreRevision(revision) {
+  if (!confirm(`Восстановить чат к ревизии #${revision}? Текущее состояние останется в истории.`)) return;
+
+  const session = activeConversation;
+  await saveQueues.get(session.id);
+
+  try {
+    const res = await fetch(`/api/sessions/${session.id}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ revision })
+    });
+    if (!res.ok) throw new Error('Сервер недоступен');
+
+    const data = await res.json();
+    Object.assign(session, data.session);
+    if (activeConversation === session) {
+      renderConversation();
+      loadRevisionHistory();
+    }
+    updateHistory();
+  } catch (err) {
+    console.error('Failed to restore revision', err);
+    alert('Не удалось восстановить ревизию');
+  }
+}
+
+// --- Vault Export ---
+
+exportBtn.addEventListener('click', () => exportVault(activeConversation));
+
+// Downloads the whole tree the chat belongs to as an Obsidian vault (zip)
+async function exportVault(conversation) {
+  let root = conversation;
+  let parent;
+  while ((parent = conversations.find(c => c.id === root.parentId))) {
+    root = parent;
+  }
+
+  exportBtn.disabled = true;
+  try {
+    // The server builds the notes from disk, so flush pending edits first
+    await Promise.all(conversations.map(c => saveQueues.get(c.id)));
+    const res = await fetch(`/api/sessions/${root.id}/export`);
+    if (!res.ok) {
+      throw new Error(res.status === 404 ? 'чат ещё не сохранён' : 'Сервер недоступен');
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${root.title || 'MindGit'}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.error('Failed to export vault', err);
+    alert(`Не удалось экспортировать дерево: ${err.message}`);
+  } finally {
+    exportBtn.disabled = false;
+  }
+}
+
 // --- Graph Visualization ---
 
 graphToggle.addEventListener('click', (e) => {
@@ -1208,8 +2894,17 @@ graphToggle.addEventListener('click', (e) => {
   }
 });
 
-// Close graph curtain when clicking outside
+// Close graph curtain (and the settings popover) when clicking outside
 document.addEventListener('click', (e) => {
+  if (!settingsPopover.hidden && !settingsPopover.contains(e.target)) {
+    closeSettingsPopover();
+  }
+  if (!usagePopover.hidden && !usagePopover.contains(e.target)) {
+    closeUsagePopover();
+  }
+  if (!summaryPopover.hidden && !summaryPopover.contains(e.target)) {
+    closeSummaryPopover();
+  }
   if (graphCurtain && graphCurtain.classList.contains('is-open')) {
     // Check if click is outside the curtain
     if (!graphCurtain.contains(e.target) && !graphToggle.contains(e.target)) {
@@ -1409,7 +3104,8 @@ function renderGraph() {
                      ${childPos.x} ${(parentPos.y + childPos.y) / 2}, 
                      ${childPos.x} ${childPos.y - nodeHeight/2}`;
         path.setAttribute('d', d);
-        path.setAttribute('class', 'graph-edge');
+        // Forks copy the conversation, deep dives explore a term: draw them apart
+        path.setAttribute('class', node.forkedFrom ? 'graph-edge graph-edge--fork' : 'graph-edge');
         graphSvg.appendChild(path);
       }
     }
@@ -1448,6 +3144,17 @@ function renderGraph() {
     textSpan.textContent = node.title || 'Новый чат';
     
     div.appendChild(textSpan);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'node-delete-btn';
+    deleteBtn.title = 'Удалить';
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteConversation(node);
+    });
+    div.appendChild(deleteBtn);
+
     fo.appendChild(div);
     group.appendChild(fo);
     
@@ -1519,6 +3226,14 @@ function applyHighlightsToElement(container, message) {
       mark.title = 'Перейти в дочерний чат';
     }
 
+    // Only while the merged chat still hangs under this one: after a move or
+    // delete the highlight leads nowhere
+    if (activeConversation.messages.some(m => m.type === 'merge' && m.originHighlightId === highlight.id &&
+        conversations.some(c => c.id === m.mergedFrom?.sessionId && c.parentId === activeConversation.id))) {
+      mark.classList.add('highlight--merged');
+      mark.title = 'Перейти в дочерний чат (итоги уже слиты в этот чат)';
+    }
+
     const contents = range.extractContents();
     mark.appendChild(contents);
     // No button needed - the ::after pseudo-element handles the clickable area
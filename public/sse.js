@@ -0,0 +1,130 @@
+// --- Server-Sent Events ---
+//
+// Incremental SSE parsing shared by the server proxy (server.js) and the
+// browser client (app.js). Network chunks do not respect line boundaries, so
+// partial lines are buffered until their newline arrives, and an event is only
+// dispatched on the blank line that terminates it.
+
+export function createSSEParser(onEvent) {
+  let buffer = '';
+  let stopped = false;
+  let type = '';
+  let data = [];
+  let lastEventId = null;
+
+  function dispatch() {
+    if (data.length) {
+      const event = { type: type || 'message', data: data.join('\n'), id: lastEventId };
+      if (onEvent(event) === false) {
+        stopped = true;
+      }
+    }
+    type = '';
+    data = [];
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    // Comments double as keep-alives (e.g. ": OPENROUTER PROCESSING")
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') data.push(value);
+    else if (field === 'event') type = value;
+    else if (field === 'id') lastEventId = value;
+  }
+
+  return {
+    // Returns false once the consumer asked to stop
+    push(text) {
+      buffer += text;
+      let newline;
+      while (!stopped && (newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        processLine(line);
+      }
+      return !stopped;
+    },
+    // A stream may close without the final blank line; flush what is left
+    end() {
+      if (stopped) return;
+      if (buffer) {
+        processLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+      if (!stopped) dispatch();
+    }
+  };
+}
+
+// Reads a fetch body to the end, calling onEvent for every event. Returning
+// false from onEvent stops reading and cancels the body.
+export async function readSSEStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createSSEParser(onEvent);
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (!parser.push(decoder.decode(value, { stream: true }))) {
+      await reader.cancel();
+      return;
+    }
+  }
+  parser.push(decoder.decode());
+  parser.end();
+}
+
+export function formatSSE({ id, event, data }) {
+  let text = '';
+  if (id !== undefined && id !== null) text += `id: ${id}\n`;
+  if (event && event !== 'message') text += `event: ${event}\n`;
+  text += String(data).split('\n').map(line => `data: ${line}`).join('\n');
+  return `${text}\n\n`;
+}
+
+function normalizeStreamError(error) {
+  if (typeof error === 'string') return { message: error };
+  return { message: error?.message || 'Unknown error', code: error?.code ?? null };
+}
+
+// Interprets one event of an OpenAI-style completion stream, or of our own
+// streams, which add typed `error` and `usage` events. Returns
+// { done, content, usage, error, payload }, or null when the data is not JSON.
+export function parseCompletionEvent(event) {
+  if (event.data === '[DONE]') {
+    return { done: true, content: '', usage: null, error: null, payload: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.data);
+  } catch (e) {
+    return null;
+  }
+
+  const result = { done: false, content: '', usage: null, error: null, payload };
+  switch (event.type) {
+    case 'error':
+      result.error = normalizeStreamError(payload);
+      break;
+    case 'usage':
+      result.usage = payload;
+      break;
+    case 'message':
+      result.content = payload.choices?.[0]?.delta?.content || '';
+      result.usage = payload.usage || null;
+      result.error = payload.error ? normalizeStreamError(payload.error) : null;
+      break;
+  }
+  return result;
+}
@@ -4,6 +4,12 @@ import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { setTimeout as sleep } from 'timers/promises';
+import { loadProvider } from './providers.js';
+import { createZip } from './zip.js';
+import { readSSEStream, formatSSE, parseCompletionEvent } from './public/sse.js';
 
 dotenv.config();
 
@@ -13,11 +19,26 @@ const SESSIONS_DIR = path.join(__dirname, 'sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const MONTHLY_BUDGET_USD = Number(process.env.MONTHLY_BUDGET_USD) || null;
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 32000;
+// Shares of the context budget for ancestor summaries and notes on child chats
+const ANCESTOR_BUDGET_SHARE = 0.25;
+const DIGEST_BUDGET_SHARE = 0.1;
+const AUTH_SESSION_DAYS = Number(process.env.AUTH_SESSION_DAYS) || 30;
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const RATE_LIMIT_REQUESTS = Number(process.env.RATE_LIMIT_REQUESTS) || 30;
+const RATE_LIMIT_WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const LOGIN_RATE_LIMIT_ATTEMPTS = Number(process.env.LOGIN_RATE_LIMIT_ATTEMPTS) || 10;
+const LOGIN_RATE_LIMIT_WINDOW_SECONDS = Number(process.env.LOGIN_RATE_LIMIT_WINDOW_SECONDS) || 900;
+const DAILY_TOKEN_QUOTA = Number(process.env.DAILY_TOKEN_QUOTA) || null;
+const LLM_MAX_CONCURRENCY = Number(process.env.LLM_MAX_CONCURRENCY) || 4;
+const LLM_QUEUE_LIMIT = Number(process.env.LLM_QUEUE_LIMIT) || 32;
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES) || 2;
+const LLM_RETRY_BUDGET = Number(process.env.LLM_RETRY_BUDGET) || 20;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
-if (!OPENROUTER_API_KEY) {
-  console.warn('Warning: OPENROUTER_API_KEY is not set. API requests will fail.');
-}
+const llm = await loadProvider(__dirname);
 
 // Ensure sessions directory exists
 try {
@@ -26,35 +47,860 @@ try {
   console.error('Failed to create sessions directory:', err);
 }
 
-app.use(cors());
+// The UI is served from the same origin; other origins have to be configured
+if (CORS_ORIGINS.length) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
 app.use(express.json({ limit: '2mb' }));
 app.use(express.static('public'));
 
 // --- Session Management API ---
 
-async function findSessionPath(sessionId, currentDir = SESSIONS_DIR) {
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write can never leave a truncated JSON file behind.
+async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+// Sessions are nested on disk by parentId, so finding one by id used to mean
+// walking the whole tree. The index maps id -> path relative to SESSIONS_DIR
+// (which starts with the owner's workspace folder) and is persisted next to
+// the sessions; it is rebuilt from disk whenever it is missing or points at a
+// folder that no longer exists.
+const INDEX_PATH = path.join(SESSIONS_DIR, '.index.json');
+let sessionIndex = null;
+let indexWriteQueue = Promise.resolve();
+
+async function scanSessionPaths(currentDir, index = {}) {
   const entries = await fs.readdir(currentDir, { withFileTypes: true });
-  
+
   for (const entry of entries) {
-    if (entry.isDirectory()) {
-      if (entry.name === sessionId) {
-        return path.join(currentDir, sessionId);
-      }
-      // Recursive search in subdirectories
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
       const subDirPath = path.join(currentDir, entry.name);
-      const found = await findSessionPath(sessionId, subDirPath);
-      if (found) return found;
+      index[entry.name] = path.relative(SESSIONS_DIR, subDirPath);
+      await scanSessionPaths(subDirPath, index);
     }
   }
-  return null;
+  return index;
+}
+
+function persistSessionIndex() {
+  const snapshot = { ...sessionIndex };
+  indexWriteQueue = indexWriteQueue
+    .then(() => writeJsonAtomic(INDEX_PATH, snapshot))
+    .catch(err => console.error('Failed to write session index:', err));
+  return indexWriteQueue;
+}
+
+async function rebuildSessionIndex() {
+  const index = {};
+  for (const workspace of await listWorkspaces()) {
+    await scanSessionPaths(workspace, index);
+  }
+  sessionIndex = index;
+  await persistSessionIndex();
+  return sessionIndex;
+}
+
+async function loadSessionIndex() {
+  if (sessionIndex) return sessionIndex;
+  try {
+    sessionIndex = JSON.parse(await fs.readFile(INDEX_PATH, 'utf-8'));
+  } catch {
+    console.log('Session index missing or unreadable, rebuilding...');
+    await rebuildSessionIndex();
+  }
+  return sessionIndex;
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Unknown ids are simply not found: they come straight from requests, and
+// rescanning the whole tree for each of them would defeat the index. The index
+// is rebuilt at startup, and whenever an entry points to a missing folder.
+async function findSessionPath(sessionId) {
+  if (!sessionId) return null;
+  const index = await loadSessionIndex();
+
+  const relativePath = index[sessionId];
+  if (!relativePath) return null;
+  const sessionPath = path.join(SESSIONS_DIR, relativePath);
+  if (await pathExists(sessionPath)) return sessionPath;
+
+  // Stale entry: the tree was changed behind our back
+  console.log(`Session index stale for ${sessionId}, rebuilding...`);
+  const rebuilt = await rebuildSessionIndex();
+  return rebuilt[sessionId] ? path.join(SESSIONS_DIR, rebuilt[sessionId]) : null;
+}
+
+async function registerSessionPath(sessionId, sessionPath) {
+  const index = await loadSessionIndex();
+  const relativePath = path.relative(SESSIONS_DIR, sessionPath);
+  if (index[sessionId] === relativePath) return;
+  index[sessionId] = relativePath;
+  await persistSessionIndex();
+}
+
+// Drops a session and everything nested under it; returns the removed ids
+async function unregisterSessionTree(sessionPath) {
+  const index = await loadSessionIndex();
+  const relativePath = path.relative(SESSIONS_DIR, sessionPath);
+  const removed = [];
+  for (const [id, entryPath] of Object.entries(index)) {
+    if (entryPath === relativePath || entryPath.startsWith(relativePath + path.sep)) {
+      delete index[id];
+      removed.push(id);
+    }
+  }
+  await persistSessionIndex();
+  return removed;
+}
+
+// Adds a session folder that reappeared on disk (e.g. restored from trash)
+async function registerSessionTree(sessionId, sessionPath) {
+  const index = await loadSessionIndex();
+  index[sessionId] = path.relative(SESSIONS_DIR, sessionPath);
+  await scanSessionPaths(sessionPath, index);
+  await persistSessionIndex();
+}
+
+// Rewrites paths of a session and its descendants after its folder was moved
+async function relocateSessionTree(oldPath, newPath) {
+  const index = await loadSessionIndex();
+  const oldRelative = path.relative(SESSIONS_DIR, oldPath);
+  const newRelative = path.relative(SESSIONS_DIR, newPath);
+  for (const [id, entryPath] of Object.entries(index)) {
+    if (entryPath === oldRelative || entryPath.startsWith(oldRelative + path.sep)) {
+      index[id] = newRelative + entryPath.slice(oldRelative.length);
+    }
+  }
+  await persistSessionIndex();
+}
+
+// Serializes read-modify-write cycles on a single session.json within this process
+const sessionLocks = new Map();
+
+async function withSessionLock(sessionId, task) {
+  const previous = sessionLocks.get(sessionId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  sessionLocks.set(sessionId, current);
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(sessionId) === current) {
+      sessionLocks.delete(sessionId);
+    }
+  }
+}
+
+async function readSession(sessionPath) {
+  const content = await fs.readFile(path.join(sessionPath, 'session.json'), 'utf-8');
+  return JSON.parse(content);
+}
+
+async function readSessionIfExists(sessionPath) {
+  try {
+    return await readSession(sessionPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Every write bumps the revision; clients echo it back to detect stale saves.
+// Each write is also recorded as a commit in the session's history.
+async function writeSession(sessionPath, session, previous = null, commit = {}) {
+  const next = { ...session, revision: (previous?.revision || 0) + 1 };
+  const errors = validateSessionDocument(next);
+  if (errors.length) {
+    throw new Error(`Refusing to write invalid session ${next.id}: ${errors.join(', ')}`);
+  }
+  await writeJsonAtomic(path.join(sessionPath, 'session.json'), next);
+  await recordCommit(sessionPath, previous, next, commit);
+  return next;
+}
+
+// --- Session Schema ---
+//
+// session.json is written from client input, so every write is checked against
+// this schema: POST /api/sessions answers 400 with the offending fields, and
+// writeSession() refuses to store a document that does not fit. Session ids
+// name folders on disk and must be UUIDs; unknown fields are rejected rather
+// than persisted as-is.
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SESSION_LIMITS = {
+  title: 200,
+  summary: 20000,
+  term: 2000,
+  idLength: 100,
+  content: 200000,
+  error: 2000,
+  messages: 5000,
+  highlights: 1000,
+  pendingFragments: 200,
+  versions: 100,
+  // versions nest their following messages, which may have versions again
+  depth: 20
+};
+const MESSAGE_ROLES = ['user', 'assistant'];
+const USAGE_FIELDS = ['model', 'promptTokens', 'completionTokens', 'totalTokens', 'cost', 'calls'];
+// Fields a message keeps per version; the rest are shared by all its versions
+const VERSIONED_FIELDS = ['content', 'highlights', 'truncated', 'error', 'usage', 'model'];
+
+function isSessionId(value) {
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+}
+
+// Session folders are named by id; nothing else may reach path.join
+function sessionDirFor(parentDir, sessionId) {
+  if (!isSessionId(sessionId)) {
+    throw new Error(`Invalid session id: ${sessionId}`);
+  }
+  return path.join(parentDir, sessionId);
+}
+
+// Every :id in a route is a session id
+app.param('id', (req, res, next, id) => {
+  if (!isSessionId(id)) {
+    return res.status(400).json({ error: 'Invalid session id', fields: ['id'] });
+  }
+  next();
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value, maxLength) => typeof value === 'string' && value.length <= maxLength;
+const isOptional = (value, check) => value == null || check(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isItemId = (value) => typeof value === 'string' && value.length > 0 && value.length <= SESSION_LIMITS.idLength;
+
+function checkKeys(value, allowed, field, errors) {
+  Object.keys(value).forEach(key => {
+    if (!allowed.includes(key)) errors.push(field ? `${field}.${key}` : key);
+  });
+}
+
+function isModelName(value) {
+  return isString(value, SESSION_LIMITS.idLength * 2);
+}
+
+function isUsage(usage) {
+  return isPlainObject(usage) && Object.entries(usage).every(([key, value]) => USAGE_FIELDS.includes(key) &&
+    (key === 'model' ? isOptional(value, isModelName) : isOptional(value, v => typeof v === 'number' && v >= 0)));
+}
+
+function validateHighlight(highlight, field, errors) {
+  if (!isPlainObject(highlight)) return errors.push(field);
+  checkKeys(highlight, ['id', 'start', 'end', 'displayStart', 'displayEnd', 'text'], field, errors);
+  if (!isItemId(highlight.id)) errors.push(`${field}.id`);
+  ['start', 'end', 'displayStart', 'displayEnd'].forEach(key => {
+    if (!(key.startsWith('display') ? isOptional(highlight[key], isCount) : isCount(highlight[key]))) {
+      errors.push(`${field}.${key}`);
+    }
+  });
+  if (!isString(highlight.text, SESSION_LIMITS.term)) errors.push(`${field}.text`);
+}
+
+function validateHighlights(highlights, field, errors) {
+  if (!Array.isArray(highlights) || highlights.length > SESSION_LIMITS.highlights) return errors.push(field);
+  highlights.forEach((highlight, index) => validateHighlight(highlight, `${field}[${index}]`, errors));
+}
+
+// An inactive version keeps its own copy of the versioned fields and of the
+// messages that followed it; the active slot is empty
+function validateVersion(version, field, errors, depth) {
+  if (!isPlainObject(version)) return errors.push(field);
+  checkKeys(version, [...VERSIONED_FIELDS, 'following'], field, errors);
+  if (!isOptional(version.content, v => isString(v, SESSION_LIMITS.content))) errors.push(`${field}.content`);
+  if (version.highlights != null) validateHighlights(version.highlights, `${field}.highlights`, errors);
+  if (!isOptional(version.truncated, v => typeof v === 'boolean')) errors.push(`${field}.truncated`);
+  if (!isOptional(version.error, v => isString(v, SESSION_LIMITS.error))) errors.push(`${field}.error`);
+  if (!isOptional(version.usage, isUsage)) errors.push(`${field}.usage`);
+  if (!isOptional(version.model, isModelName)) errors.push(`${field}.model`);
+  if (version.following != null) validateMessages(version.following, `${field}.following`, errors, depth + 1);
+}
+
+function validateMessage(message, field, errors, depth) {
+  if (!isPlainObject(message)) return errors.push(field);
+  checkKeys(message, [
+    'id', 'role', 'content', 'highlights', 'disableHighlighting', 'type', 'mergedFrom', 'originTerm',
+    'originHighlightId', 'usage', 'model', 'truncated', 'error', 'generation', 'versions', 'activeVersion'
+  ], field, errors);
+
+  if (!isItemId(message.id)) errors.push(`${field}.id`);
+  if (!MESSAGE_ROLES.includes(message.role)) errors.push(`${field}.role`);
+  if (!isString(message.content, SESSION_LIMITS.content)) errors.push(`${field}.content`);
+  if (message.highlights != null) validateHighlights(message.highlights, `${field}.highlights`, errors);
+  if (!isOptional(message.disableHighlighting, v => typeof v === 'boolean')) errors.push(`${field}.disableHighlighting`);
+  if (!isOptional(message.type, v => v === 'merge')) errors.push(`${field}.type`);
+  if (!isOptional(message.mergedFrom, v => isPlainObject(v) && isSessionId(v.sessionId) && isCount(v.revision) &&
+      Object.keys(v).length === 2)) {
+    errors.push(`${field}.mergedFrom`);
+  }
+  if (!isOptional(message.originTerm, v => isString(v, SESSION_LIMITS.term))) errors.push(`${field}.originTerm`);
+  if (!isOptional(message.originHighlightId, isItemId)) errors.push(`${field}.originHighlightId`);
+  if (!isOptional(message.usage, isUsage)) errors.push(`${field}.usage`);
+  if (!isOptional(message.model, isModelName)) errors.push(`${field}.model`);
+  if (!isOptional(message.truncated, v => typeof v === 'boolean')) errors.push(`${field}.truncated`);
+  if (!isOptional(message.error, v => isString(v, SESSION_LIMITS.error))) errors.push(`${field}.error`);
+  if (!isOptional(message.generation, v => isPlainObject(v) && v.status === 'running' && isCount(v.eventId) &&
+      Object.keys(v).length === 2)) {
+    errors.push(`${field}.generation`);
+  }
+
+  if (message.versions != null) {
+    if (!Array.isArray(message.versions) || message.versions.length > SESSION_LIMITS.versions) {
+      errors.push(`${field}.versions`);
+    } else {
+      message.versions.forEach((version, index) => validateVersion(version, `${field}.versions[${index}]`, errors, depth));
+      if (!(isCount(message.activeVersion) && message.activeVersion < message.versions.length)) {
+        errors.push(`${field}.activeVersion`);
+      }
+    }
+  } else if (message.activeVersion != null) {
+    errors.push(`${field}.activeVersion`);
+  }
+}
+
+function validateMessages(messages, field, errors, depth = 0) {
+  if (!Array.isArray(messages) || messages.length > SESSION_LIMITS.messages || depth > SESSION_LIMITS.depth) {
+    return errors.push(field);
+  }
+  messages.forEach((message, index) => validateMessage(message, `${field}[${index}]`, errors, depth));
+}
+
+// Returns the paths of the offending fields, e.g. `messages[3].highlights[0].end`
+function validateSessionDocument(session) {
+  if (!isPlainObject(session)) return ['session'];
+
+  const errors = [];
+  checkKeys(session, [
+    'id', 'title', 'parentId', 'messages', 'pendingFragments', 'isExpanded', 'summary', 'summaryStructured',
+    'originTerm', 'originHighlightId', 'sourceMessageId', 'sourcePassage', 'lastSummarizedMessageCount',
+    'lastSummarizedFingerprint', 'forkedFrom', 'archived', 'settings', 'summaryUsage', 'revision'
+  ], '', errors);
+
+  if (!isSessionId(session.id)) errors.push('id');
+  if (!isOptional(session.parentId, isSessionId)) errors.push('parentId');
+  if (!isOptional(session.title, v => isString(v, SESSION_LIMITS.title))) errors.push('title');
+  validateMessages(session.messages ?? [], 'messages', errors);
+
+  const fragments = session.pendingFragments ?? [];
+  if (!Array.isArray(fragments) || fragments.length > SESSION_LIMITS.pendingFragments) {
+    errors.push('pendingFragments');
+  } else {
+    fragments.forEach((fragment, index) => {
+      const field = `pendingFragments[${index}]`;
+      if (!isPlainObject(fragment)) return errors.push(field);
+      checkKeys(fragment, ['id', 'messageId', 'text'], field, errors);
+      if (!isItemId(fragment.id)) errors.push(`${field}.id`);
+      if (!isItemId(fragment.messageId)) errors.push(`${field}.messageId`);
+      if (!isString(fragment.text, SESSION_LIMITS.term)) errors.push(`${field}.text`);
+    });
+  }
+
+  ['isExpanded', 'archived'].forEach(key => {
+    if (!isOptional(session[key], v => typeof v === 'boolean')) errors.push(key);
+  });
+  if (!isOptional(session.summary, v => isString(v, SESSION_LIMITS.summary))) errors.push('summary');
+  if (session.summaryStructured != null) {
+    errors.push(...validateStructuredSummary(session.summaryStructured, 'summaryStructured'));
+  }
+  if (!isOptional(session.originTerm, v => isString(v, SESSION_LIMITS.term))) errors.push('originTerm');
+  if (!isOptional(session.originHighlightId, isItemId)) errors.push('originHighlightId');
+  if (!isOptional(session.sourceMessageId, isItemId)) errors.push('sourceMessageId');
+  if (!isOptional(session.sourcePassage, v => isString(v, SESSION_LIMITS.term))) errors.push('sourcePassage');
+  if (!isOptional(session.lastSummarizedMessageCount, isCount)) errors.push('lastSummarizedMessageCount');
+  if (!isOptional(session.lastSummarizedFingerprint, v => typeof v === 'string' && /^[0-9a-f]{40}$/.test(v))) {
+    errors.push('lastSummarizedFingerprint');
+  }
+  if (!isOptional(session.forkedFrom, v => isPlainObject(v) && isSessionId(v.sessionId) && isItemId(v.messageId) &&
+      Object.keys(v).length === 2)) {
+    errors.push('forkedFrom');
+  }
+  errors.push(...validateSettings(session.settings, { checkModel: false }));
+  if (!isOptional(session.summaryUsage, isUsage)) errors.push('summaryUsage');
+  if (!isOptional(session.revision, isCount)) errors.push('revision');
+  return errors;
+}
+
+// Every message of a session as it reads in each of its versions: the active
+// transcript first, then the stashed versions with the messages that followed
+// them. Highlights and child chats stay anchored to inactive versions, so
+// anything looking for them has to go through here rather than `messages`.
+function listMessageVersions(session) {
+  const entries = [];
+  const stashed = [];
+  const visit = (messages = [], active) => {
+    messages.forEach(message => {
+      const current = message.activeVersion ?? 0;
+      entries.push({ message, version: current, active });
+      (message.versions || []).forEach((version, index) => {
+        if (index !== current) stashed.push({ message, version, index });
+      });
+    });
+  };
+  visit(session?.messages, true);
+
+  while (stashed.length) {
+    const { message, version: { following, ...fields }, index } = stashed.shift();
+    const { versions, activeVersion, generation, ...shared } = message;
+    VERSIONED_FIELDS.forEach(field => delete shared[field]);
+    entries.push({ message: { ...shared, ...fields }, version: index, active: false });
+    visit(following, false);
+  }
+  return entries;
+}
+
+// --- Accounts ---
+//
+// Local accounts with scrypt-hashed passwords. Signing in issues a random
+// token, set as an HttpOnly cookie (API clients may send it as a Bearer token
+// instead); only its hash is stored. Every user's trees live in their own
+// workspace, sessions/<userId>/, with its own trash. The session index stays
+// global: a session belongs to the workspace its folder is in, and sessions of
+// other users look exactly like missing ones. Registration is open until the
+// first account exists, afterwards only with ALLOW_REGISTRATION=true. Failed
+// sign-ins take from a token bucket per address and per name (see Rate
+// Limiting); once either is empty, sign-in answers 429 until it refills.
+
+const ACCOUNTS_PATH = path.join(SESSIONS_DIR, '.accounts.json');
+// Sessions created before accounts existed wait here for the first account
+const UNCLAIMED_DIR = path.join(SESSIONS_DIR, '.unclaimed');
+const AUTH_COOKIE = 'mindgit_auth';
+const AUTH_SESSION_MS = AUTH_SESSION_DAYS * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[\p{L}\p{N}._-]{3,32}$/u;
+const PASSWORD_LENGTH = { min: 8, max: 256 };
+const LOGIN_RATE_LIMIT = { requests: LOGIN_RATE_LIMIT_ATTEMPTS, windowSeconds: LOGIN_RATE_LIMIT_WINDOW_SECONDS };
+const scrypt = promisify(crypto.scrypt);
+let accounts = null;
+let accountsWriteQueue = Promise.resolve();
+
+function workspaceDir(userId) {
+  return path.join(SESSIONS_DIR, userId);
+}
+
+// The account a session belongs to is the first folder of its path
+function workspaceOwner(sessionPath) {
+  return path.relative(SESSIONS_DIR, sessionPath).split(path.sep)[0];
+}
+
+function trashDirFor(workspace) {
+  return path.join(workspace, '.trash');
+}
+
+function isInWorkspace(workspace, sessionPath) {
+  return sessionPath.startsWith(workspace + path.sep);
+}
+
+async function listWorkspaces() {
+  const entries = await fs.readdir(SESSIONS_DIR, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => path.join(SESSIONS_DIR, entry.name));
+}
+
+// Root sessions used to sit right in sessions/; they are parked until the
+// first account adopts them as its workspace
+async function parkLegacySessions() {
+  const entries = await fs.readdir(SESSIONS_DIR, { withFileTypes: true });
+  const legacy = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && !entry.name.startsWith('.') &&
+        await pathExists(path.join(SESSIONS_DIR, entry.name, 'session.json'))) {
+      legacy.push(entry.name);
+    }
+  }
+  const legacyTrash = path.join(SESSIONS_DIR, '.trash');
+  const hasLegacyTrash = await pathExists(legacyTrash);
+  if (!legacy.length && !hasLegacyTrash) return;
+
+  await fs.mkdir(UNCLAIMED_DIR, { recursive: true });
+  for (const name of legacy) {
+    await fs.rename(path.join(SESSIONS_DIR, name), path.join(UNCLAIMED_DIR, name));
+  }
+  if (hasLegacyTrash && !(await pathExists(trashDirFor(UNCLAIMED_DIR)))) {
+    await fs.rename(legacyTrash, trashDirFor(UNCLAIMED_DIR));
+  }
+  await fs.rm(INDEX_PATH, { force: true });
+  sessionIndex = null;
+  console.log(`Moved ${legacy.length} sessions created before accounts existed to ${UNCLAIMED_DIR}; the first account will adopt them`);
 }
 
-async function getAllSessions(dir = SESSIONS_DIR) {
+async function loadAccounts() {
+  if (accounts) return accounts;
+  try {
+    accounts = JSON.parse(await fs.readFile(ACCOUNTS_PATH, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    accounts = { users: [], tokens: {} };
+  }
+  return accounts;
+}
+
+function persistAccounts() {
+  const snapshot = { users: [...accounts.users], tokens: { ...accounts.tokens } };
+  accountsWriteQueue = accountsWriteQueue
+    .then(() => writeJsonAtomic(ACCOUNTS_PATH, snapshot))
+    .catch(err => console.error('Failed to write accounts:', err));
+  return accountsWriteQueue;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username };
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  header.split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+    try {
+      cookies[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch {
+      // Ignore cookies that are not ours to decode
+    }
+  });
+  return cookies;
+}
+
+function readAuthToken(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length);
+  return parseCookies(req.get('Cookie'))[AUTH_COOKIE] || null;
+}
+
+async function authenticate(req) {
+  const token = readAuthToken(req);
+  if (!token) return null;
+  const { users, tokens } = await loadAccounts();
+  const entry = tokens[hashToken(token)];
+  if (!entry || entry.expiresAt < Date.now()) return null;
+  return users.find(user => user.id === entry.userId) || null;
+}
+
+async function startAuthSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const data = await loadAccounts();
+  const now = Date.now();
+  Object.entries(data.tokens).forEach(([hash, entry]) => {
+    if (entry.expiresAt < now) delete data.tokens[hash];
+  });
+  data.tokens[hashToken(token)] = { userId: user.id, expiresAt: now + AUTH_SESSION_MS };
+  await persistAccounts();
+
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: AUTH_SESSION_MS,
+    path: '/'
+  });
+  return token;
+}
+
+function validateCredentials(body) {
+  const { username, password } = body || {};
+  const fields = [];
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) fields.push('username');
+  if (typeof password !== 'string' || password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max) {
+    fields.push('password');
+  }
+  return fields;
+}
+
+function isRegistrationOpen(data) {
+  return ALLOW_REGISTRATION || data.users.length === 0;
+}
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const user = await authenticate(req);
+    if (!user) {
+      const data = await loadAccounts();
+      return res.status(401).json({ error: 'Authentication required', registrationOpen: isRegistrationOpen(data) });
+    }
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    console.error('Error reading auth session:', error);
+    res.status(500).json({ error: 'Failed to read auth session' });
+  }
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const fields = validateCredentials(req.body);
+    if (fields.length) {
+      return res.status(400).json({ error: 'Invalid credentials', fields });
+    }
+    const { username, password } = req.body;
+    const passwordHash = await hashPassword(password);
+
+    // No awaits between the checks and the insert, so two registrations
+    // cannot both pass them
+    const data = await loadAccounts();
+    if (!isRegistrationOpen(data)) {
+      return res.status(403).json({ error: 'Registration is closed' });
+    }
+    if (data.users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+      return res.status(409).json({ error: 'Username is taken', fields: ['username'] });
+    }
+    const isFirst = data.users.length === 0;
+    const user = { id: crypto.randomUUID(), username, passwordHash, createdAt: new Date().toISOString() };
+    data.users.push(user);
+    await persistAccounts();
+
+    const workspace = workspaceDir(user.id);
+    if (isFirst && await pathExists(UNCLAIMED_DIR)) {
+      await fs.rename(UNCLAIMED_DIR, workspace);
+      await rebuildSessionIndex();
+      console.log(`Account ${username} adopted the sessions created before accounts existed`);
+    } else {
+      await fs.mkdir(workspace, { recursive: true });
+    }
+
+    await startAuthSession(req, res, user);
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Error registering account:', error);
+    res.status(500).json({ error: 'Failed to register account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required', fields: ['username', 'password'] });
+    }
+    // Failed attempts are limited per address and per name, so the password
+    // check cannot be used to guess passwords at full speed. Names no account
+    // can have only count against the address.
+    const keys = [`login:ip:${req.ip}`];
+    if (USERNAME_PATTERN.test(username)) keys.push(`login:user:${username.toLowerCase()}`);
+    const retryAfter = Math.max(...keys.map(key => checkRateLimit(key, 1, LOGIN_RATE_LIMIT)));
+    if (retryAfter) {
+      return sendTooManyRequests(res, retryAfter, { error: 'Too many failed login attempts', limit: 'login' });
+    }
+
+    const { users } = await loadAccounts();
+    const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      keys.forEach(key => takeRateLimit(key, 1, LOGIN_RATE_LIMIT));
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startAuthSession(req, res, user);
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = readAuthToken(req);
+    if (token) {
+      const data = await loadAccounts();
+      delete data.tokens[hashToken(token)];
+      await persistAccounts();
+    }
+    res.clearCookie(AUTH_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Everything else under /api needs a signed-in user
+app.use('/api', async (req, res, next) => {
+  if (req.path.startsWith('/auth/')) return next();
+  try {
+    const user = await authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    req.workspace = workspaceDir(user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A session in another workspace is reported as missing
+app.param('id', async (req, res, next, id) => {
+  try {
+    const sessionPath = await findSessionPath(id);
+    if (sessionPath && !isInWorkspace(req.workspace, sessionPath)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Session History ---
+
+// Snapshots live in a dot-folder so tree scans never mistake it for a child session
+const HISTORY_DIR_NAME = '.history';
+
+function historyDir(sessionPath) {
+  return path.join(sessionPath, HISTORY_DIR_NAME);
+}
+
+async function readHistoryLog(sessionPath) {
+  try {
+    const content = await fs.readFile(path.join(historyDir(sessionPath), 'log.json'), 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function readSnapshot(sessionPath, revision) {
+  try {
+    const content = await fs.readFile(path.join(historyDir(sessionPath), `${revision}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// `commit` may carry a custom description and extra metadata (e.g. mergedFrom)
+async function recordCommit(sessionPath, previous, next, { description, ...metadata } = {}) {
+  const dir = historyDir(sessionPath);
+  await fs.mkdir(dir, { recursive: true });
+  await writeJsonAtomic(path.join(dir, `${next.revision}.json`), next);
+
+  const log = await readHistoryLog(sessionPath);
+  const previousCount = previous?.messages?.length || 0;
+  const messageCount = next.messages?.length || 0;
+  log.push({
+    revision: next.revision,
+    timestamp: new Date().toISOString(),
+    messageCount,
+    messageDelta: messageCount - previousCount,
+    description: description || describeChange(previous, next),
+    ...metadata
+  });
+  await writeJsonAtomic(path.join(dir, 'log.json'), log);
+}
+
+function pluralizeMessages(count) {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return `${count} сообщение`;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${count} сообщения`;
+  return `${count} сообщений`;
+}
+
+function describeChange(previous, next) {
+  if (!previous) return 'Чат создан';
+
+  const diff = diffSessions(previous, next);
+  const parts = [];
+  if (diff.messages.added.length) parts.push(`+${pluralizeMessages(diff.messages.added.length)}`);
+  if (diff.messages.removed.length) parts.push(`−${pluralizeMessages(diff.messages.removed.length)}`);
+  if (diff.messages.edited.length) parts.push(`изменено ${pluralizeMessages(diff.messages.edited.length)}`);
+  if (diff.highlights.added.length) parts.push(`+${diff.highlights.added.length} выдел.`);
+  if (diff.highlights.removed.length) parts.push(`−${diff.highlights.removed.length} выдел.`);
+  if (diff.summary) parts.push('обновлено саммари');
+  if (diff.title) parts.push('переименован');
+
+  return parts.length ? parts.join(', ') : 'Обновлены настройки';
+}
+
+function collectHighlights(session) {
+  const highlights = new Map();
+  listMessageVersions(session).forEach(({ message }) => {
+    (message.highlights || []).forEach(highlight => {
+      highlights.set(highlight.id, { ...highlight, messageId: message.id });
+    });
+  });
+  return highlights;
+}
+
+// Versions of one message are compared with each other by their index, so
+// switching versions is not an edit
+function diffSessions(from, to) {
+  const byVersion = session => new Map(listMessageVersions(session)
+    .map(({ message, version }) => [`${message.id}/${version}`, message]));
+  const fromMessages = byVersion(from);
+  const toMessages = byVersion(to);
+
+  const messages = { added: [], removed: [], edited: [] };
+  toMessages.forEach((message, key) => {
+    const before = fromMessages.get(key);
+    if (!before) {
+      messages.added.push(message);
+    } else if (before.content !== message.content) {
+      messages.edited.push({ id: message.id, role: message.role, before: before.content, after: message.content });
+    }
+  });
+  fromMessages.forEach((message, key) => {
+    if (!toMessages.has(key)) messages.removed.push(message);
+  });
+
+  const fromHighlights = collectHighlights(from);
+  const toHighlights = collectHighlights(to);
+  const highlights = {
+    added: [...toHighlights.values()].filter(h => !fromHighlights.has(h.id)),
+    removed: [...fromHighlights.values()].filter(h => !toHighlights.has(h.id))
+  };
+
+  const summary = (from?.summary || '') !== (to?.summary || '')
+    ? { before: from?.summary || '', after: to?.summary || '' }
+    : null;
+  const title = (from?.title || '') !== (to?.title || '')
+    ? { before: from?.title || '', after: to?.title || '' }
+    : null;
+
+  return { messages, highlights, summary, title };
+}
+
+async function getAllSessions(dir) {
   const entries = await fs.readdir(dir, { withFileTypes: true });
   const sessions = [];
 
   for (const entry of entries) {
-    if (entry.isDirectory()) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
       const sessionPath = path.join(dir, entry.name);
       const jsonPath = path.join(sessionPath, 'session.json');
       
@@ -71,306 +917,2643 @@ async function getAllSessions(dir = SESSIONS_DIR) {
       } catch (err) {
         // Skip invalid folders
       }
-    }
+    }
+  }
+  return sessions;
+}
+
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const sessions = await getAllSessions(req.workspace);
+    res.json(sessions);
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const { id, title, parentId, messages, pendingFragments, isExpanded, summary, summaryStructured, originTerm, originHighlightId, sourceMessageId, lastSummarizedMessageCount, forkedFrom, archived, settings, revision } = req.body;
+    const sessionId = id;
+
+    const documentErrors = validateSessionDocument(req.body);
+    if (documentErrors.length) {
+      return res.status(400).json({ error: 'Invalid session document', fields: documentErrors });
+    }
+    // An existing session stays where it is: placement only changes through /move
+    let sessionDir = await findSessionPath(sessionId);
+    if (sessionDir && !isInWorkspace(req.workspace, sessionDir)) {
+      return res.status(403).json({ error: 'Session id belongs to another workspace' });
+    }
+    let sourcePassage;
+    if (!sessionDir) {
+      let targetDir = req.workspace;
+      if (parentId) {
+        const parentPath = await findSessionPath(parentId);
+        if (!parentPath || !isInWorkspace(req.workspace, parentPath)) {
+          return res.status(404).json({ error: 'Parent session not found' });
+        }
+        targetDir = parentPath;
+        // The passage the term was highlighted in is captured once, when the
+        // child is created, so later edits of the parent do not change its sense
+        if (sourceMessageId) {
+          sourcePassage = findSourcePassage(await readSession(parentPath), { sourceMessageId, originHighlightId, originTerm }) || undefined;
+        }
+      }
+      sessionDir = sessionDirFor(targetDir, sessionId);
+    }
+
+    const result = await withSessionLock(sessionId, async () => {
+      const current = await readSessionIfExists(sessionDir);
+      const currentRevision = current?.revision || 0;
+      if (current && (revision || 0) !== currentRevision) {
+        return { conflict: true, session: current };
+      }
+      // Only a newly picked model has to be on the allowlist: a stored one that
+      // was dropped from it falls back in resolveSettings and must not block saves
+      if (settings?.model != null && settings.model !== current?.settings?.model &&
+          !llm.allowedModels.includes(settings.model)) {
+        return { invalidSettings: ['settings.model'] };
+      }
+
+      await fs.mkdir(sessionDir, { recursive: true });
+      const saved = await writeSession(sessionDir, {
+        id, title, parentId: current ? current.parentId : parentId, messages, pendingFragments, 
+        isExpanded, summary, summaryStructured, originTerm,
+        originHighlightId: current ? current.originHighlightId : originHighlightId,
+        sourceMessageId: current ? current.sourceMessageId : sourceMessageId,
+        sourcePassage: current ? current.sourcePassage : sourcePassage,
+        lastSummarizedMessageCount, forkedFrom, archived, settings,
+        // Written by the server only, clients never send them back
+        lastSummarizedFingerprint: current?.lastSummarizedFingerprint,
+        summaryUsage: current?.summaryUsage
+      }, current);
+      return { conflict: false, session: saved };
+    });
+
+    if (result.invalidSettings) {
+      return res.status(400).json({ error: 'Invalid session settings', fields: result.invalidSettings });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'Session revision is stale', session: result.session });
+    }
+
+    await registerSessionPath(sessionId, sessionDir);
+    res.json({ success: true, path: sessionDir, revision: result.session.revision });
+  } catch (error) {
+    console.error('Error saving session:', error);
+    res.status(500).json({ error: 'Failed to save session' });
+  }
+});
+
+// Moves a session folder (with its whole subtree) under another parent, or to
+// the root when parentId is null. The session keeps its originHighlightId
+// unless another one is given: it only anchors the session in the chat the
+// highlight is in, so a session dragged back there gets its anchor back.
+app.patch('/api/sessions/:id/move', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const { parentId = null } = req.body;
+    const fields = [];
+    if (!isOptional(parentId, isSessionId)) fields.push('parentId');
+    if (!isOptional(req.body.originHighlightId, isItemId)) fields.push('originHighlightId');
+    if (fields.length) {
+      return res.status(400).json({ error: 'Invalid move request', fields });
+    }
+
+    if (parentId === sessionId) {
+      return res.status(400).json({ error: 'A session cannot be its own parent' });
+    }
+
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let targetDir = req.workspace;
+    let parent = null;
+    if (parentId) {
+      const parentPath = await findSessionPath(parentId);
+      if (!parentPath || !isInWorkspace(req.workspace, parentPath)) {
+        return res.status(404).json({ error: 'Parent session not found' });
+      }
+      if (parentPath.startsWith(sessionPath + path.sep)) {
+        return res.status(400).json({ error: 'Cannot move a session into its own subtree' });
+      }
+      targetDir = parentPath;
+      parent = await readSession(parentPath);
+    }
+
+    const moved = await withSessionLock(sessionId, async () => {
+      const current = await readSession(sessionPath);
+      const originHighlightId = req.body.originHighlightId === undefined
+        ? current.originHighlightId ?? null
+        : req.body.originHighlightId;
+      const newPath = sessionDirFor(targetDir, sessionId);
+      if (newPath !== sessionPath) {
+        await fs.rename(sessionPath, newPath);
+        await relocateSessionTree(sessionPath, newPath);
+      }
+      // The source passage gives the term its sense in the parent; under a new
+      // parent or origin it is looked up again, or dropped when there is none
+      const sameOrigin = parentId === current.parentId && originHighlightId === current.originHighlightId;
+      const sourceMessage = !sameOrigin && originHighlightId && parent
+        ? findHighlightedMessage(parent, originHighlightId)
+        : null;
+      const source = sameOrigin
+        ? { sourceMessageId: current.sourceMessageId, sourcePassage: current.sourcePassage }
+        : {
+          sourceMessageId: sourceMessage?.id,
+          sourcePassage: (sourceMessage && extractPassage(sourceMessage.content, current.originTerm)) || undefined
+        };
+      return writeSession(newPath, { ...current, parentId, originHighlightId, ...source }, current, {
+        description: parentId ? `Перемещён в «${parent.title || 'Без названия'}»` : 'Сделан корневым'
+      });
+    });
+
+    res.json({ success: true, session: moved });
+  } catch (error) {
+    console.error('Error moving session:', error);
+    res.status(500).json({ error: 'Failed to move session' });
+  }
+});
+
+// Deleting moves the whole subtree into the trash; it can be restored until
+// it is purged after TRASH_RETENTION_DAYS
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const deleted = await withSessionLock(sessionId, async () => {
+      const session = await readSession(sessionPath);
+      const entryDir = sessionDirFor(trashDirFor(req.workspace), sessionId);
+      await fs.rm(entryDir, { recursive: true, force: true });
+      await fs.mkdir(entryDir, { recursive: true });
+      await fs.rename(sessionPath, path.join(entryDir, sessionId));
+
+      const removedIds = await unregisterSessionTree(sessionPath);
+      await writeJsonAtomic(path.join(entryDir, 'meta.json'), {
+        id: sessionId,
+        title: session.title || 'Без названия',
+        parentId: session.parentId || null,
+        deletedAt: new Date().toISOString(),
+        sessionCount: removedIds.length
+      });
+      return removedIds;
+    });
+
+    res.json({ success: true, deletedIds: deleted, descendantCount: deleted.length - 1 });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// --- Trash ---
+
+async function readTrashEntries(trashDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(trashDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const items = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(trashDir, entry.name, 'meta.json'), 'utf-8'));
+      items.push(meta);
+    } catch {
+      // Skip half-written entries
+    }
+  }
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+async function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const workspace of await listWorkspaces()) {
+    const trashDir = trashDirFor(workspace);
+    const items = await readTrashEntries(trashDir);
+    for (const item of items) {
+      if (new Date(item.deletedAt).getTime() < cutoff) {
+        await fs.rm(path.join(trashDir, item.id), { recursive: true, force: true });
+        console.log(`Purged session ${item.id} from trash`);
+      }
+    }
+  }
+}
+
+app.get('/api/trash', async (req, res) => {
+  try {
+    const items = await readTrashEntries(trashDirFor(req.workspace));
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    res.json(items.map(item => ({
+      ...item,
+      purgeAt: new Date(new Date(item.deletedAt).getTime() + retentionMs).toISOString()
+    })));
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restores under the original parent, or as a root if that parent is gone
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const entryDir = sessionDirFor(trashDirFor(req.workspace), sessionId);
+    const trashedPath = path.join(entryDir, sessionId);
+    if (!(await pathExists(trashedPath))) {
+      return res.status(404).json({ error: 'Trash entry not found' });
+    }
+
+    const restored = await withSessionLock(sessionId, async () => {
+      const session = await readSession(trashedPath);
+      const foundParent = session.parentId ? await findSessionPath(session.parentId) : null;
+      const parentPath = foundParent && isInWorkspace(req.workspace, foundParent) ? foundParent : null;
+      const targetPath = sessionDirFor(parentPath || req.workspace, sessionId);
+
+      await fs.rename(trashedPath, targetPath);
+      await fs.rm(entryDir, { recursive: true, force: true });
+      await registerSessionTree(sessionId, targetPath);
+
+      if (session.parentId && !parentPath) {
+        return writeSession(targetPath, { ...session, parentId: null, originHighlightId: null }, session, {
+          description: 'Восстановлен из корзины как корневой'
+        });
+      }
+      return session;
+    });
+
+    res.json({ success: true, session: restored });
+  } catch (error) {
+    console.error('Error restoring session from trash:', error);
+    res.status(500).json({ error: 'Failed to restore session' });
+  }
+});
+
+// --- Usage Accounting ---
+//
+// Token counts and cost of every LLM call are kept twice: on what the call
+// produced (assistant and merge messages carry `usage`, summaries add up in
+// the session's `summaryUsage`), which lets totals roll up the tree, and in a
+// monthly ledger (sessions/.usage.json) that the budget is checked against.
+
+const USAGE_LEDGER_PATH = path.join(SESSIONS_DIR, '.usage.json');
+let usageLedger = null;
+let ledgerWriteQueue = Promise.resolve();
+
+function emptyUsageTotals() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, calls: 0 };
+}
+
+// Converts a provider's OpenAI-style usage block; the cost comes from the
+// provider when it reports one (OpenRouter), otherwise from configured prices
+function normalizeUsage(raw, model) {
+  if (!raw) return null;
+  const promptTokens = raw.prompt_tokens || 0;
+  const completionTokens = raw.completion_tokens || 0;
+  let cost = typeof raw.cost === 'number' ? raw.cost : null;
+  const price = llm.pricing[model];
+  if (cost === null && price) {
+    cost = (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+  }
+  return { model, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, cost };
+}
+
+function addUsage(totals, usage) {
+  if (!usage) return totals;
+  return {
+    promptTokens: totals.promptTokens + (usage.promptTokens || 0),
+    completionTokens: totals.completionTokens + (usage.completionTokens || 0),
+    totalTokens: totals.totalTokens + (usage.totalTokens || 0),
+    cost: totals.cost + (usage.cost || 0),
+    calls: totals.calls + (usage.calls ?? 1)
+  };
+}
+
+function currentMonthKey() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+async function loadUsageLedger() {
+  if (usageLedger) return usageLedger;
+  try {
+    usageLedger = JSON.parse(await fs.readFile(USAGE_LEDGER_PATH, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Usage ledger unreadable, starting a new one:', err);
+    usageLedger = {};
+  }
+  return usageLedger;
+}
+
+// kind: chat | opener | summarize | merge | tree-summary. The tokens also
+// count against the daily quota of the account that caused the call.
+async function recordUsage(usage, kind, userId) {
+  if (!usage) return;
+  await addDailyUsage(userId, usage);
+  const ledger = await loadUsageLedger();
+  const month = currentMonthKey();
+  const entry = ledger[month] || { ...emptyUsageTotals(), byKind: {} };
+  const { byKind, ...totals } = entry;
+  ledger[month] = {
+    ...addUsage(totals, usage),
+    byKind: { ...byKind, [kind]: addUsage(byKind[kind] || emptyUsageTotals(), usage) }
+  };
+
+  const snapshot = { ...ledger };
+  ledgerWriteQueue = ledgerWriteQueue
+    .then(() => writeJsonAtomic(USAGE_LEDGER_PATH, snapshot))
+    .catch(err => console.error('Failed to write usage ledger:', err));
+}
+
+async function getMonthlyUsage() {
+  const ledger = await loadUsageLedger();
+  const month = currentMonthKey();
+  return {
+    month,
+    ...(ledger[month] || { ...emptyUsageTotals(), byKind: {} }),
+    budget: MONTHLY_BUDGET_USD
+  };
+}
+
+// This month's usage once its spend reached the budget, otherwise null
+async function getExhaustedBudget() {
+  if (!MONTHLY_BUDGET_USD) return null;
+  const monthly = await getMonthlyUsage();
+  return monthly.cost >= MONTHLY_BUDGET_USD ? monthly : null;
+}
+
+// Responds with 402 and returns true once this month's spend reached the budget
+async function rejectOverBudget(res) {
+  const monthly = await getExhaustedBudget();
+  if (!monthly) return false;
+  res.status(402).json({
+    error: 'Monthly budget exceeded',
+    budget: MONTHLY_BUDGET_USD,
+    spent: monthly.cost
+  });
+  return true;
+}
+
+// Everything spent on a session itself: all message versions, summaries
+function collectSessionUsage(session) {
+  return listMessageVersions(session)
+    .reduce((totals, { message }) => addUsage(totals, message.usage), addUsage(emptyUsageTotals(), session.summaryUsage));
+}
+
+app.get('/api/usage', async (req, res) => {
+  try {
+    res.json({ ...(await getMonthlyUsage()), daily: await getDailyUsage(req.user.id) });
+  } catch (error) {
+    console.error('Error reading usage:', error);
+    res.status(500).json({ error: 'Failed to read usage' });
+  }
+});
+
+// Usage of one session and of its whole subtree
+app.get('/api/sessions/:id/usage', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const sessions = await getAllSessions(req.workspace);
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const childrenByParent = new Map();
+    sessions.forEach(s => {
+      if (!s.parentId) return;
+      if (!childrenByParent.has(s.parentId)) childrenByParent.set(s.parentId, []);
+      childrenByParent.get(s.parentId).push(s);
+    });
+
+    const own = collectSessionUsage(session);
+    let tree = own;
+    let sessionCount = 1;
+    const stack = [...(childrenByParent.get(sessionId) || [])];
+    while (stack.length) {
+      const child = stack.pop();
+      tree = addUsage(tree, collectSessionUsage(child));
+      sessionCount++;
+      stack.push(...(childrenByParent.get(child.id) || []));
+    }
+
+    res.json({
+      sessionId,
+      session: own,
+      tree,
+      sessionCount,
+      monthly: await getMonthlyUsage(),
+      daily: await getDailyUsage(req.user.id)
+    });
+  } catch (error) {
+    console.error('Error computing session usage:', error);
+    res.status(500).json({ error: 'Failed to compute usage' });
+  }
+});
+
+// --- Rate Limiting ---
+//
+// Three guards keep a runaway client from burning through the credits: a
+// token bucket per account (RATE_LIMIT_REQUESTS per RATE_LIMIT_WINDOW_SECONDS,
+// each upstream call costs one request), a daily token quota per account
+// and a cap on upstream requests running at once, shared by everybody, with
+// the rest waiting in a bounded queue. Each answers 429 with Retry-After.
+
+const DAILY_USAGE_PATH = path.join(SESSIONS_DIR, '.daily-usage.json');
+const UPSTREAM_RETRY_AFTER_SECONDS = 5;
+const rateBuckets = new Map();
+const upstreamQueue = [];
+let activeUpstreamRequests = 0;
+let dailyUsage = null;
+
+const REQUEST_RATE_LIMIT = { requests: RATE_LIMIT_REQUESTS, windowSeconds: RATE_LIMIT_WINDOW_SECONDS };
+
+// Seconds until `cost` requests are available in the bucket under `key`, 0
+// when they are now. Refills the bucket for the time passed.
+function checkRateLimit(key, cost = 1, limit = REQUEST_RATE_LIMIT) {
+  const refillPerMs = limit.requests / (limit.windowSeconds * 1000);
+  const now = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: limit.requests, updatedAt: now, limit };
+  bucket.tokens = Math.min(limit.requests, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  rateBuckets.set(key, bucket);
+
+  // A request larger than the bucket waits for a full one instead of never passing
+  const needed = Math.min(cost, limit.requests);
+  return bucket.tokens >= needed ? 0 : Math.ceil((needed - bucket.tokens) / refillPerMs / 1000);
+}
+
+// Takes `cost` requests from the bucket. Returns 0 when they were available,
+// otherwise the seconds until they will be.
+function takeRateLimit(key, cost = 1, limit = REQUEST_RATE_LIMIT) {
+  const retryAfter = checkRateLimit(key, cost, limit);
+  if (!retryAfter) rateBuckets.get(key).tokens -= Math.min(cost, limit.requests);
+  return retryAfter;
+}
+
+// Full buckets hold nothing worth keeping; login buckets are keyed by whatever
+// names and addresses show up, so they must not pile up
+function pruneRateBuckets() {
+  const now = Date.now();
+  rateBuckets.forEach((bucket, key) => {
+    if (now - bucket.updatedAt >= bucket.limit.windowSeconds * 1000) rateBuckets.delete(key);
+  });
+}
+
+function currentDayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Tokens spent today per account (UTC days); yesterday's counts are dropped
+async function loadDailyUsage() {
+  if (!dailyUsage) {
+    try {
+      dailyUsage = JSON.parse(await fs.readFile(DAILY_USAGE_PATH, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Daily usage unreadable, starting a new one:', err);
+      dailyUsage = { day: currentDayKey(), users: {} };
+    }
+  }
+  if (dailyUsage.day !== currentDayKey()) {
+    dailyUsage = { day: currentDayKey(), users: {} };
+  }
+  return dailyUsage;
+}
+
+async function addDailyUsage(userId, usage) {
+  if (!userId) return;
+  const daily = await loadDailyUsage();
+  daily.users[userId] = (daily.users[userId] || 0) + (usage.totalTokens || 0);
+
+  const snapshot = { day: daily.day, users: { ...daily.users } };
+  ledgerWriteQueue = ledgerWriteQueue
+    .then(() => writeJsonAtomic(DAILY_USAGE_PATH, snapshot))
+    .catch(err => console.error('Failed to write daily usage:', err));
+}
+
+async function getDailyUsage(userId) {
+  const daily = await loadDailyUsage();
+  return { day: daily.day, totalTokens: daily.users[userId] || 0, quota: DAILY_TOKEN_QUOTA };
+}
+
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function sendTooManyRequests(res, retryAfter, body) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ ...body, retryAfter });
+}
+
+function sendUpstreamBusy(res) {
+  sendTooManyRequests(res, UPSTREAM_RETRY_AFTER_SECONDS, { error: 'Too many requests in progress', limit: 'queue' });
+}
+
+function isUpstreamQueueFull() {
+  return activeUpstreamRequests >= LLM_MAX_CONCURRENCY && upstreamQueue.length >= LLM_QUEUE_LIMIT;
+}
+
+// Today's usage of the account once it reached the quota, otherwise null
+async function getExhaustedQuota(userId) {
+  if (!DAILY_TOKEN_QUOTA) return null;
+  const daily = await getDailyUsage(userId);
+  return daily.totalTokens >= DAILY_TOKEN_QUOTA ? daily : null;
+}
+
+// Responds with 429 and returns true when the account is over its quota or
+// rate limit, or the upstream queue is full. `cost` is the number of upstream
+// calls the request is going to make.
+async function rejectRateLimited(req, res, cost = 1) {
+  const daily = await getExhaustedQuota(req.user.id);
+  if (daily) {
+    sendTooManyRequests(res, secondsUntilTomorrow(), {
+      error: 'Daily token quota exceeded',
+      limit: 'quota',
+      quota: DAILY_TOKEN_QUOTA,
+      used: daily.totalTokens
+    });
+    return true;
+  }
+  if (isUpstreamQueueFull()) {
+    sendUpstreamBusy(res);
+    return true;
+  }
+  const retryAfter = takeRateLimit(req.user.id, cost);
+  if (retryAfter) {
+    sendTooManyRequests(res, retryAfter, { error: 'Rate limit exceeded', limit: 'rate' });
+    return true;
+  }
+  return false;
+}
+
+// Tree summaries are computed on the side of other requests, with nobody to
+// answer 429 to: every such call checks the monthly budget and the account's
+// quota and takes one request from its bucket itself, and throws with code
+// RATE_LIMITED instead
+async function chargeSideCall(userId) {
+  if (await getExhaustedBudget() || await getExhaustedQuota(userId) || takeRateLimit(userId)) {
+    const error = new Error('Monthly budget, rate limit or daily quota reached');
+    error.code = 'RATE_LIMITED';
+    throw error;
+  }
+}
+
+// Frees the slot, or hands it straight to the next request in the queue
+function createUpstreamRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const next = upstreamQueue.shift();
+    if (next) {
+      next.grant();
+    } else {
+      activeUpstreamRequests--;
+    }
+  };
+}
+
+// Resolves to a release function once an upstream request may start. Rejects
+// with code UPSTREAM_BUSY when the queue is full, and with the abort reason
+// when `signal` fires while waiting.
+function acquireUpstreamSlot(signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (activeUpstreamRequests < LLM_MAX_CONCURRENCY) {
+    activeUpstreamRequests++;
+    return Promise.resolve(createUpstreamRelease());
+  }
+  if (upstreamQueue.length >= LLM_QUEUE_LIMIT) {
+    const error = new Error('Upstream request queue is full');
+    error.code = 'UPSTREAM_BUSY';
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      upstreamQueue.splice(upstreamQueue.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+    const waiter = {
+      grant() {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(createUpstreamRelease());
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    upstreamQueue.push(waiter);
+  });
+}
+
+// --- Upstream Retries ---
+//
+// Overloaded or failing upstreams (429, 5xx, network errors) are retried with
+// exponential backoff and full jitter, or after the Retry-After they ask for.
+// All retries draw from one budget (LLM_RETRY_BUDGET per minute), so an outage
+// does not multiply the load on the provider. A model that keeps failing
+// hands over to the fallback models (LLM_FALLBACK_MODELS) in order, and the
+// caller learns which model actually answered.
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const retryBudget = { tokens: LLM_RETRY_BUDGET, updatedAt: Date.now() };
+
+function takeRetryToken() {
+  const now = Date.now();
+  retryBudget.tokens = Math.min(LLM_RETRY_BUDGET,
+    retryBudget.tokens + (now - retryBudget.updatedAt) * LLM_RETRY_BUDGET / 60000);
+  retryBudget.updatedAt = now;
+  if (retryBudget.tokens < 1) return false;
+  retryBudget.tokens--;
+  return true;
+}
+
+// Anywhere between zero and the exponential ceiling, unless the upstream
+// said how long to wait
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers.get('Retry-After'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+// Takes the same parameters as llm.complete and resolves to { response, model }.
+// When every model failed, the last failed response is returned as it is, so
+// the caller can pass the provider's error on.
+async function completeUpstream({ model = llm.defaultModel, signal, ...params }) {
+  const models = [model, ...llm.fallbackModels.filter(fallback => fallback !== model)];
+  let failure = null;
+
+  for (const [index, candidate] of models.entries()) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await llm.complete({ ...params, model: candidate, signal });
+        if (response.ok || !RETRYABLE_STATUSES.has(response.status)) {
+          return { response, model: candidate };
+        }
+        failure = { response };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        failure = { error };
+      }
+
+      const reason = response ? `status ${response.status}` : failure.error.message;
+      const delay = retryDelay(attempt, response);
+      if (attempt >= LLM_MAX_RETRIES || delay > RETRY_MAX_DELAY_MS || !takeRetryToken()) {
+        console.warn(`${llm.name} model ${candidate} failed (${reason})`);
+        break;
+      }
+      console.warn(`${llm.name} model ${candidate} failed (${reason}), retrying in ${Math.round(delay)} ms`);
+      await response?.body?.cancel();
+      await sleep(delay, undefined, { signal });
+    }
+
+    if (index < models.length - 1) {
+      await failure.response?.body?.cancel();
+      console.warn(`Falling back from ${candidate} to ${models[index + 1]}`);
+    }
+  }
+
+  if (failure.error) throw failure.error;
+  return { response: failure.response, model: models.at(-1) };
+}
+
+// --- Summarization ---
+
+// Summaries are rolling: each update folds only the messages added since
+// `lastSummarizedMessageCount` into the previous summary, and long backlogs are
+// folded in chunks so a single request never outgrows the context window.
+// `lastSummarizedFingerprint` covers the ids and text of the summarized
+// messages: once those change (edit & resend, version switch, restore) the
+// summary is rebuilt from scratch.
+// Besides the plain `summary` text used as context, sessions keep the
+// structured form (`summaryStructured`) that the UI shows and lets you edit.
+const SUMMARY_CHUNK_CHARS = 24000;
+const SUMMARY_LENGTHS = {
+  short: { sentences: 2, items: 3, maxTokens: 400 },
+  medium: { sentences: 4, items: 5, maxTokens: 800 },
+  long: { sentences: 8, items: 10, maxTokens: 1600 }
+};
+const SUMMARY_LIMITS = { overview: 4000, items: 30, itemLength: 1000 };
+
+function fingerprintMessages(messages) {
+  return fingerprint(messages.map(m => [m.id, m.content || '']));
+}
+
+function buildSummaryInstruction(previous, length) {
+  const { sentences, items } = SUMMARY_LENGTHS[length] || SUMMARY_LENGTHS.medium;
+  return 'You maintain a running summary of a conversation. ' +
+    'Update the previous summary with the new messages and reply with JSON only, in the form ' +
+    '{"overview": string, "keyPoints": string[], "openQuestions": string[], "terms": [{"term": string, "definition": string}]}. ' +
+    `Keep the overview to at most ${sentences} sentences and each list to at most ${items} items. ` +
+    'Keep earlier points that still matter, drop open questions the new messages answered, ' +
+    'keep LaTeX formulas exactly as written, and write in Russian if the conversation is in Russian.\n\n' +
+    `Previous summary:\n${previous ? JSON.stringify(previous) : '(none)'}\n\nNew messages:`;
+}
+
+function emptyStructuredSummary() {
+  return { overview: '', keyPoints: [], openQuestions: [], terms: [] };
+}
+
+// Models like to wrap JSON in code fences or add a sentence around it; when
+// nothing parseable is found the whole reply becomes the overview
+function parseStructuredSummary(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    const strings = (list) => (Array.isArray(list) ? list : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+    return {
+      overview: typeof parsed.overview === 'string' ? parsed.overview.trim() : '',
+      keyPoints: strings(parsed.keyPoints),
+      openQuestions: strings(parsed.openQuestions),
+      terms: (Array.isArray(parsed.terms) ? parsed.terms : [])
+        .filter(t => t && typeof t.term === 'string' && t.term.trim())
+        .map(t => ({ term: t.term.trim(), definition: typeof t.definition === 'string' ? t.definition.trim() : '' }))
+    };
+  } catch (e) {
+    return { ...emptyStructuredSummary(), overview: text.trim() };
+  }
+}
+
+// Plain-text form used as model context and by search
+function formatSummary(structured) {
+  const parts = [structured.overview];
+  if (structured.keyPoints.length) {
+    parts.push(`Ключевые моменты: ${structured.keyPoints.join('; ')}`);
+  }
+  if (structured.openQuestions.length) {
+    parts.push(`Открытые вопросы: ${structured.openQuestions.join('; ')}`);
+  }
+  if (structured.terms.length) {
+    parts.push(`Термины: ${structured.terms.map(t => (t.definition ? `${t.term} — ${t.definition}` : t.term)).join('; ')}`);
+  }
+  return parts.filter(Boolean).join('\n');
+}
+
+function validateStructuredSummary(summary, field = 'summary') {
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) return [field];
+
+  const errors = [];
+  const { overview, keyPoints, openQuestions, terms, ...unknown } = summary;
+  Object.keys(unknown).forEach(key => errors.push(`${field}.${key}`));
+
+  if (typeof overview !== 'string' || overview.length > SUMMARY_LIMITS.overview) {
+    errors.push(`${field}.overview`);
+  }
+  const validList = (list, isItem) => Array.isArray(list) && list.length <= SUMMARY_LIMITS.items && list.every(isItem);
+  const validText = (value) => typeof value === 'string' && value.length <= SUMMARY_LIMITS.itemLength;
+  if (!validList(keyPoints, validText)) errors.push(`${field}.keyPoints`);
+  if (!validList(openQuestions, validText)) errors.push(`${field}.openQuestions`);
+  if (!validList(terms, t => t && validText(t.term) && t.term.trim() && validText(t.definition ?? ''))) {
+    errors.push(`${field}.terms`);
+  }
+  return errors;
+}
+
+// Splits messages into batches of at most SUMMARY_CHUNK_CHARS characters
+function chunkMessages(messages) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  messages.forEach(message => {
+    const length = (message.content || '').length;
+    if (current.length && size + length > SUMMARY_CHUNK_CHARS) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(message);
+    size += length;
+  });
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+async function updateRollingSummary(previous, messages, length) {
+  const { maxTokens } = SUMMARY_LENGTHS[length] || SUMMARY_LENGTHS.medium;
+  let structured = previous;
+  let usage = null;
+
+  for (const chunk of chunkMessages(messages)) {
+    const result = await summarizeMessages(chunk, buildSummaryInstruction(structured, length), maxTokens);
+    structured = parseStructuredSummary(result.text);
+    usage = addUsage(usage || emptyUsageTotals(), result.usage);
+  }
+  return { structured, usage };
+}
+
+function buildMergeInstruction(originTerm) {
+  return `The user explored ${originTerm ? `the term "${originTerm}"` : 'a side topic'} in a separate conversation. ` +
+    'Condense what was learned there into a short self-contained note that can be added back to the main conversation: ' +
+    'key conclusions, definitions and formulas (keep LaTeX formulas exactly as written). ' +
+    'Do not describe the conversation itself, state the knowledge (in Russian if the content is Russian):';
+}
+
+async function summarizeMessages(messages, instruction, maxTokens = 256) {
+  const textToSummarize = messages
+    .map(m => `${m.role}: ${m.content}`)
+    .join('\n');
+
+  return completeWithUtilityModel(`${instruction}\n\n${textToSummarize}`, maxTokens);
+}
+
+// One-shot request to the cheaper utility model
+async function completeWithUtilityModel(prompt, maxTokens) {
+  const release = await acquireUpstreamSlot();
+  try {
+    const { response, model } = await completeUpstream({
+      model: llm.utilityModel,
+      messages: [
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: 0.5,
+      max_tokens: maxTokens
+    });
+
+    if (!response.ok) {
+      // Retries and fallbacks are exhausted by now
+      const error = new Error(`${llm.name} request failed with status ${response.status}`);
+      error.code = 'UPSTREAM_FAILED';
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: normalizeUsage(data.usage, model),
+      model
+    };
+  } finally {
+    release();
+  }
+}
+
+app.post('/api/sessions/:id/summarize', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const sessionPath = await findSessionPath(sessionId);
+    
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await readSession(sessionPath);
+
+    if (!session.messages || session.messages.length === 0) {
+      return res.json({ summary: '', messageCount: 0, skipped: true });
+    }
+
+    // The summary can only be built on if the messages it covers are unchanged;
+    // sessions summarized before fingerprints were kept are rebuilt once
+    const lastCount = session.lastSummarizedMessageCount || 0;
+    const coveredIntact = lastCount <= session.messages.length &&
+      (lastCount === 0 || session.lastSummarizedFingerprint === fingerprintMessages(session.messages.slice(0, lastCount)));
+    if (coveredIntact && session.messages.length === lastCount) {
+      console.log(`Summary already up to date for session ${sessionId} (${lastCount} messages)`);
+      return res.json({ 
+        summary: session.summary || '', 
+        summaryStructured: session.summaryStructured || null,
+        messageCount: session.messages.length,
+        skipped: true 
+      });
+    }
+
+    const previous = coveredIntact
+      ? session.summaryStructured || (session.summary ? { ...emptyStructuredSummary(), overview: session.summary } : null)
+      : null;
+    const newMessages = coveredIntact ? session.messages.slice(lastCount) : session.messages;
+
+    if (await rejectOverBudget(res)) return;
+    // A long backlog is folded in several calls, each one counts
+    if (await rejectRateLimited(req, res, chunkMessages(newMessages).length)) return;
+
+    const { summaryLength } = resolveSettings(await buildContextChain(sessionId));
+    const summarizedCount = session.messages.length;
+    const summarizedFingerprint = fingerprintMessages(session.messages);
+    const { structured, usage } = await updateRollingSummary(previous, newMessages, summaryLength);
+    await recordUsage(usage, 'summarize', req.user.id);
+    const summary = formatSummary(structured);
+
+    // The client may have saved new messages while the model was busy, so
+    // re-read the latest revision and only touch the summary fields
+    const saved = await withSessionLock(sessionId, async () => {
+      const latest = await readSession(sessionPath);
+      return writeSession(sessionPath, {
+        ...latest,
+        summary,
+        summaryStructured: structured,
+        lastSummarizedMessageCount: summarizedCount,
+        lastSummarizedFingerprint: summarizedFingerprint,
+        summaryUsage: addUsage(latest.summaryUsage || emptyUsageTotals(), usage)
+      }, latest, { description: 'Обновлено саммари' });
+    });
+
+    res.json({ 
+      success: true, 
+      summary,
+      summaryStructured: structured,
+      messageCount: summarizedCount,
+      revision: saved.revision,
+      skipped: false
+    });
+
+  } catch (error) {
+    if (error.code === 'UPSTREAM_BUSY') return sendUpstreamBusy(res);
+    console.error('Error summarizing session:', error);
+    if (error.code === 'UPSTREAM_FAILED') {
+      return res.status(502).json({ error: 'The model is unavailable, try again later' });
+    }
+    res.status(500).json({ error: 'Failed to summarize session' });
+  }
+});
+
+// Manual edit of the structured summary; the next automatic update builds on it
+app.put('/api/sessions/:id/summary', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const { summary: structured } = req.body;
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const errors = validateStructuredSummary(structured);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid summary', fields: errors });
+    }
+
+    const cleaned = parseStructuredSummary(JSON.stringify(structured));
+    const saved = await withSessionLock(sessionId, async () => {
+      const latest = await readSession(sessionPath);
+      return writeSession(sessionPath, {
+        ...latest,
+        summary: formatSummary(cleaned),
+        summaryStructured: cleaned
+      }, latest, { description: 'Саммари изменено вручную' });
+    });
+
+    res.json({
+      success: true,
+      summary: saved.summary,
+      summaryStructured: saved.summaryStructured,
+      revision: saved.revision
+    });
+  } catch (error) {
+    console.error('Error updating summary:', error);
+    res.status(500).json({ error: 'Failed to update summary' });
+  }
+});
+
+// Condenses a child chat and appends the result to its parent as a `merge`
+// message anchored to the highlight the child was opened from. Merging the
+// same child again replaces its previous merge message.
+app.post('/api/sessions/:id/merge', async (req, res) => {
+  try {
+    const childPath = await findSessionPath(req.params.id);
+    if (!childPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const child = await readSession(childPath);
+    if (!child.parentId) {
+      return res.status(400).json({ error: 'Session has no parent to merge into' });
+    }
+    if (!child.messages?.length) {
+      return res.status(400).json({ error: 'Session has no messages to merge' });
+    }
+
+    const parentPath = await findSessionPath(child.parentId);
+    if (!parentPath) {
+      return res.status(404).json({ error: 'Parent session not found' });
+    }
+    if (await rejectOverBudget(res)) return;
+    if (await rejectRateLimited(req, res)) return;
+
+    const { text: content, usage, model } = await summarizeMessages(child.messages, buildMergeInstruction(child.originTerm), 1024);
+    await recordUsage(usage, 'merge', req.user.id);
+    if (!content) {
+      throw new Error('Empty merge result');
+    }
+
+    const mergedFrom = { sessionId: child.id, revision: child.revision || 0 };
+    const parent = await withSessionLock(child.parentId, async () => {
+      const current = await readSession(parentPath);
+      const existing = current.messages?.find(m => m.type === 'merge' && m.mergedFrom?.sessionId === child.id);
+      const mergeMessage = {
+        id: existing?.id || crypto.randomUUID(),
+        role: 'assistant',
+        type: 'merge',
+        content,
+        highlights: existing?.highlights || [],
+        originHighlightId: child.originHighlightId || null,
+        originTerm: child.originTerm || null,
+        mergedFrom,
+        usage,
+        model
+      };
+      const messages = existing
+        ? current.messages.map(m => m.id === existing.id ? mergeMessage : m)
+        : [...(current.messages || []), mergeMessage];
+
+      return writeSession(parentPath, { ...current, messages }, current, {
+        description: `Слияние из «${child.title || 'Без названия'}»`,
+        mergedFrom
+      });
+    });
+
+    res.json({ success: true, session: parent });
+  } catch (error) {
+    if (error.code === 'UPSTREAM_BUSY') return sendUpstreamBusy(res);
+    console.error('Error merging session:', error);
+    if (error.code === 'UPSTREAM_FAILED') {
+      return res.status(502).json({ error: 'The model is unavailable, try again later' });
+    }
+    res.status(500).json({ error: 'Failed to merge session' });
+  }
+});
+
+app.get('/api/sessions/:id/history', async (req, res) => {
+  try {
+    const sessionPath = await findSessionPath(req.params.id);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const log = await readHistoryLog(sessionPath);
+    res.json(log.reverse());
+  } catch (error) {
+    console.error('Error fetching session history:', error);
+    res.status(500).json({ error: 'Failed to fetch session history' });
+  }
+});
+
+app.get('/api/sessions/:id/history/:revision', async (req, res) => {
+  try {
+    const sessionPath = await findSessionPath(req.params.id);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const snapshot = await readSnapshot(sessionPath, Number(req.params.revision));
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error fetching session revision:', error);
+    res.status(500).json({ error: 'Failed to fetch session revision' });
+  }
+});
+
+// Compares two revisions; `to` defaults to the current state of the session
+app.get('/api/sessions/:id/diff', async (req, res) => {
+  try {
+    const sessionPath = await findSessionPath(req.params.id);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const from = await readSnapshot(sessionPath, Number(req.query.from));
+    const to = req.query.to
+      ? await readSnapshot(sessionPath, Number(req.query.to))
+      : await readSession(sessionPath);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ from: from.revision, to: to.revision, ...diffSessions(from, to) });
+  } catch (error) {
+    console.error('Error diffing session revisions:', error);
+    res.status(500).json({ error: 'Failed to diff session revisions' });
+  }
+});
+
+// Restoring never rewrites history: the old content becomes a new revision.
+// Tree placement (parent, origin highlight) is kept from the current state.
+app.post('/api/sessions/:id/restore', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revision = Number(req.body.revision);
+    const snapshot = await readSnapshot(sessionPath, revision);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const restored = await withSessionLock(sessionId, async () => {
+      const current = await readSession(sessionPath);
+      return writeSession(sessionPath, {
+        ...current,
+        title: snapshot.title,
+        // A revision written while a reply was being generated holds its
+        // placeholder; the job behind it is long gone
+        messages: settleGenerationMarkers(snapshot.messages || []),
+        pendingFragments: snapshot.pendingFragments,
+        summary: snapshot.summary,
+        summaryStructured: snapshot.summaryStructured,
+        lastSummarizedMessageCount: snapshot.lastSummarizedMessageCount,
+        lastSummarizedFingerprint: snapshot.lastSummarizedFingerprint
+      }, current, { description: `Восстановлена ревизия ${revision}` });
+    });
+
+    res.json({ success: true, session: restored });
+  } catch (error) {
+    console.error('Error restoring session revision:', error);
+    res.status(500).json({ error: 'Failed to restore session revision' });
+  }
+});
+
+// --- Search ---
+
+// Light suffix stripping so that different case forms of a Russian word
+// ("лагранжиан", "лагранжиана", "лагранжианом") land on the same stem.
+// Longest suffixes are tried first; short stems are left alone.
+const RU_SUFFIXES = [
+  'иями', 'ями', 'ами', 'иях', 'ость', 'ости', 'ение', 'ения', 'ении', 'ений', 'ание', 'ания', 'ании', 'аний',
+  'ться', 'тся', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ией', 'ешь', 'ете', 'ишь', 'ите', 'ует', 'уют',
+  'ала', 'ила', 'ыла', 'ела', 'ать', 'ять', 'ить', 'еть', 'уть',
+  'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях', 'ов', 'ев',
+  'ию', 'ья', 'ье', 'ьи', 'ью', 'ия', 'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й'
+].sort((a, b) => b.length - a.length);
+const EN_SUFFIXES = ['ians', 'ian', 'ings', 'ing', 'ies', 'es', 'ed', 's'];
+const MIN_STEM_LENGTH = 3;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/ё/g, 'е');
+}
+
+function stemWord(word) {
+  const suffixes = /[а-я]/.test(word) ? RU_SUFFIXES : EN_SUFFIXES;
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function findStemMatches(text, queryStems) {
+  const matches = [];
+  const normalized = normalizeText(text);
+  for (const match of normalized.matchAll(WORD_PATTERN)) {
+    const stem = stemWord(match[0]);
+    const queryIndex = queryStems.findIndex(q => stem.startsWith(q));
+    if (queryIndex !== -1) {
+      matches.push({ start: match.index, end: match.index + match[0].length, queryIndex });
+    }
+  }
+  return matches;
+}
+
+function buildSnippet(text, matches, radius = 60) {
+  const first = matches[0];
+  const start = Math.max(0, first.start - radius);
+  const end = Math.min(text.length, first.end + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end).replace(/\s+/g, ' ');
+
+  // Offsets shift when whitespace is collapsed, so re-locate hits in the snippet text
+  const snippet = prefix + body + suffix;
+  const hits = matches
+    .filter(m => m.start >= start && m.end <= end)
+    .map(m => text.slice(m.start, m.end).replace(/\s+/g, ' '));
+  const ranges = [];
+  let cursor = 0;
+  hits.forEach(hit => {
+    const index = snippet.toLowerCase().indexOf(hit.toLowerCase(), cursor);
+    if (index !== -1) {
+      ranges.push([index, index + hit.length]);
+      cursor = index + hit.length;
+    }
+  });
+  return { snippet, ranges };
+}
+
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  originTerm: 4,
+  highlight: 3,
+  summary: 2,
+  message: 1
+};
+
+function getAncestorPath(session, sessionsById) {
+  const titles = [];
+  let current = sessionsById.get(session.parentId);
+  while (current) {
+    titles.unshift(current.title || 'Без названия');
+    current = sessionsById.get(current.parentId);
+  }
+  return titles;
+}
+
+function searchSessions(sessions, query, limit = 50) {
+  const queryStems = [...new Set((normalizeText(query).match(WORD_PATTERN) || []).map(stemWord))];
+  if (!queryStems.length) return [];
+
+  const sessionsById = new Map(sessions.map(s => [s.id, s]));
+  const results = [];
+
+  const consider = (session, field, text, messageId = null) => {
+    if (!text) return;
+    const matches = findStemMatches(text, queryStems);
+    if (!matches.length) return;
+
+    const coverage = new Set(matches.map(m => m.queryIndex)).size / queryStems.length;
+    const phraseBonus = normalizeText(text).includes(normalizeText(query).trim()) ? 1 : 0;
+    const score = SEARCH_FIELD_WEIGHTS[field] * (coverage * 2 + phraseBonus) + Math.min(matches.length, 5) * 0.1;
+
+    results.push({
+      sessionId: session.id,
+      title: session.title || 'Без названия',
+      path: getAncestorPath(session, sessionsById),
+      field,
+      messageId,
+      score: Math.round(score * 100) / 100,
+      ...buildSnippet(text, matches)
+    });
+  };
+
+  sessions.forEach(session => {
+    consider(session, 'title', session.title);
+    consider(session, 'originTerm', session.originTerm);
+    consider(session, 'summary', session.summary);
+    listMessageVersions(session).forEach(({ message }) => {
+      consider(session, 'message', message.content, message.id);
+      (message.highlights || []).forEach(highlight => {
+        consider(session, 'highlight', highlight.text, message.id);
+      });
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({ error: 'Query must be at least 2 characters long' });
+    }
+    const sessions = await getAllSessions(req.workspace);
+    res.json({ query, results: searchSessions(sessions, query) });
+  } catch (error) {
+    console.error('Error searching sessions:', error);
+    res.status(500).json({ error: 'Failed to search sessions' });
+  }
+});
+
+// --- Generation Settings ---
+
+// Sessions may override any of these; values are inherited from the root down
+// the tree, so a child only stores what differs from its ancestors
+const SETTINGS_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  max_tokens: { min: 1, max: 16384 },
+  systemPrompt: { maxLength: 4000 },
+  summaryLength: { options: Object.keys(SUMMARY_LENGTHS) }
+};
+
+function getDefaultSettings() {
+  return {
+    model: llm.defaultModel,
+    temperature: 0.8,
+    max_tokens: 4096,
+    systemPrompt: '',
+    summaryLength: 'medium'
+  };
+}
+
+// Stored settings may name a model that has since left the allowlist (they
+// fall back to the default), so the session schema only checks the shape
+function validateSettings(settings, { checkModel = true } = {}) {
+  if (settings == null) return [];
+  if (typeof settings !== 'object' || Array.isArray(settings)) return ['settings'];
+
+  const errors = [];
+  const { model, temperature, max_tokens, systemPrompt, summaryLength, ...unknown } = settings;
+  Object.keys(unknown).forEach(key => errors.push(`settings.${key}`));
+
+  if (model != null && (typeof model !== 'string' || (checkModel && !llm.allowedModels.includes(model)))) {
+    errors.push('settings.model');
+  }
+  if (temperature != null && !(typeof temperature === 'number' &&
+      temperature >= SETTINGS_LIMITS.temperature.min && temperature <= SETTINGS_LIMITS.temperature.max)) {
+    errors.push('settings.temperature');
+  }
+  if (max_tokens != null && !(Number.isInteger(max_tokens) &&
+      max_tokens >= SETTINGS_LIMITS.max_tokens.min && max_tokens <= SETTINGS_LIMITS.max_tokens.max)) {
+    errors.push('settings.max_tokens');
+  }
+  if (systemPrompt != null && !(typeof systemPrompt === 'string' &&
+      systemPrompt.length <= SETTINGS_LIMITS.systemPrompt.maxLength)) {
+    errors.push('settings.systemPrompt');
+  }
+  if (summaryLength != null && !SETTINGS_LIMITS.summaryLength.options.includes(summaryLength)) {
+    errors.push('settings.summaryLength');
+  }
+  return errors;
+}
+
+// `chain` is ordered root first, as returned by buildContextChain()
+function resolveSettings(chain) {
+  const resolved = getDefaultSettings();
+  chain.forEach(item => {
+    Object.entries(item.settings || {}).forEach(([key, value]) => {
+      if (value != null && key in resolved) resolved[key] = value;
+    });
+  });
+  // A model removed from the allowlist after it was saved falls back to the default
+  if (!llm.allowedModels.includes(resolved.model)) {
+    resolved.model = llm.defaultModel;
+  }
+  return resolved;
+}
+
+app.get('/api/settings', (req, res) => {
+  res.json({
+    models: llm.allowedModels,
+    utilityModel: llm.utilityModel,
+    defaults: getDefaultSettings(),
+    limits: SETTINGS_LIMITS,
+    // Highlights and the terms of child chats are stored with this cap
+    termMaxLength: SESSION_LIMITS.term
+  });
+});
+
+// --- Helper: Build context chain from parent sessions ---
+
+async function buildContextChain(sessionId) {
+  const chain = [];
+  let currentId = sessionId;
+  
+  while (currentId) {
+    const sessionPath = await findSessionPath(currentId);
+    if (!sessionPath) break;
+    
+    try {
+      const session = await readSession(sessionPath);
+
+      // The child read before this one was opened from one of its messages
+      const child = chain[0];
+      if (child?.originTerm && !child.sourcePassage) {
+        child.sourcePassage = findSourcePassage(session, child);
+      }
+      // Terms the user has explored next to the session being answered
+      if (child && chain.length === 1) {
+        const siblings = await listChildSessions(sessionPath);
+        child.siblingTerms = siblings
+          .filter(sibling => sibling.session.id !== sessionId && sibling.session.originTerm)
+          .map(sibling => sibling.session.originTerm);
+      }
+      
+      chain.unshift({
+        title: session.title || 'Без названия',
+        summary: session.summary || '',
+        originTerm: session.originTerm || null,
+        originHighlightId: session.originHighlightId || null,
+        sourceMessageId: session.sourceMessageId || null,
+        sourcePassage: session.sourcePassage || '',
+        siblingTerms: [],
+        forked: Boolean(session.forkedFrom),
+        settings: session.settings || null
+      });
+      
+      currentId = session.parentId;
+    } catch (err) {
+      console.error(`Failed to read session ${currentId}:`, err);
+      break;
+    }
+  }
+  
+  return chain;
+}
+
+// --- Tree Summaries ---
+//
+// A tree summary condenses a chat together with everything learned in its
+// descendants, so that a parent can build on what was found deeper down. They
+// are computed lazily: each one is cached next to its session.json together
+// with a fingerprint of its inputs (own summary plus the children's
+// fingerprints), and only recomputed once something below has changed.
+
+const TREE_SUMMARY_FILE = '.tree-summary.json';
+const TREE_DIGEST_CHARS = 400;
+const treeSummariesInFlight = new Map();
+
+function fingerprint(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+async function listChildSessions(sessionPath) {
+  const entries = await fs.readdir(sessionPath, { withFileTypes: true });
+  const children = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+    const childPath = path.join(sessionPath, entry.name);
+    const session = await readSessionIfExists(childPath);
+    if (session) children.push({ session, path: childPath });
+  }
+  return children;
+}
+
+function buildTreeSummaryPrompt(session, explored) {
+  const findings = explored
+    .map(child => `- "${child.term}": ${child.text}`)
+    .join('\n');
+  return 'Combine the summary of a conversation with what was learned in the side conversations ' +
+    'the user opened from it into one short note of at most four sentences. ' +
+    'Focus on conclusions and definitions, keep LaTeX formulas exactly as written, ' +
+    'and write in Russian if the content is Russian.\n\n' +
+    `Conversation "${session.title || 'Без названия'}":\n${session.summary || '(no summary yet)'}\n\n` +
+    `Side conversations:\n${findings}`;
+}
+
+async function computeTreeSummary(sessionPath) {
+  const session = await readSession(sessionPath);
+  const explored = [];
+  for (const child of await listChildSessions(sessionPath)) {
+    const summary = await getTreeSummary(child.path);
+    if (summary.text) {
+      explored.push({
+        sessionId: child.session.id,
+        term: child.session.originTerm || child.session.title || 'Без названия',
+        text: summary.text,
+        fingerprint: summary.fingerprint
+      });
+    }
+  }
+
+  const key = fingerprint([session.summary || '', explored.map(child => [child.sessionId, child.fingerprint])]);
+  const base = { sessionId: session.id, fingerprint: key, children: explored.map(({ fingerprint, ...child }) => child) };
+  // A leaf has nothing to combine: its own summary is its tree summary
+  if (!explored.length) {
+    return { ...base, text: session.summary || '' };
+  }
+
+  const cachePath = path.join(sessionPath, TREE_SUMMARY_FILE);
+  try {
+    const cached = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+    if (cached.fingerprint === key) return { ...base, text: cached.text };
+  } catch {
+    // No cache yet or unreadable: compute below
+  }
+
+  try {
+    await chargeSideCall(workspaceOwner(sessionPath));
+    const { text, usage } = await completeWithUtilityModel(buildTreeSummaryPrompt(session, explored), 512);
+    await recordUsage(usage, 'tree-summary', workspaceOwner(sessionPath));
+    await writeJsonAtomic(cachePath, { fingerprint: key, text, computedAt: new Date().toISOString() });
+    return { ...base, text };
+  } catch (err) {
+    // Not cached, so the next request tries again
+    console.error(`Failed to compute tree summary for session ${session.id}:`, err);
+    return { ...base, text: session.summary || '' };
+  }
+}
+
+// Concurrent requests for the same subtree share one computation
+function getTreeSummary(sessionPath) {
+  const running = treeSummariesInFlight.get(sessionPath);
+  if (running) return running;
+  const task = computeTreeSummary(sessionPath).finally(() => treeSummariesInFlight.delete(sessionPath));
+  treeSummariesInFlight.set(sessionPath, task);
+  return task;
+}
+
+// Short notes on the terms explored in direct children, for the parent's
+// context, in the order they are offered. Children already merged back into
+// the chat are left out. A note is only computed when `load` is called, since
+// a child's tree summary may take a call to the utility model; the context
+// assembly loads as many as fit.
+async function getChildDigests(sessionId) {
+  const sessionPath = await findSessionPath(sessionId);
+  if (!sessionPath) return [];
+  const session = await readSession(sessionPath);
+  const merged = new Set((session.messages || [])
+    .filter(m => m.type === 'merge')
+    .map(m => m.mergedFrom?.sessionId));
+
+  return (await listChildSessions(sessionPath))
+    .filter(child => !merged.has(child.session.id))
+    .map(child => ({
+      term: child.session.originTerm || child.session.title || 'Без названия',
+      load: async () => {
+        const { text } = await getTreeSummary(child.path);
+        return text.length > TREE_DIGEST_CHARS ? `${text.slice(0, TREE_DIGEST_CHARS)}…` : text;
+      }
+    }));
+}
+
+app.get('/api/sessions/:id/tree-summary', async (req, res) => {
+  try {
+    const sessionPath = await findSessionPath(req.params.id);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(await getTreeSummary(sessionPath));
+  } catch (error) {
+    console.error('Error computing tree summary:', error);
+    res.status(500).json({ error: 'Failed to compute tree summary' });
+  }
+});
+
+// --- Vault Export ---
+//
+// A session and its descendants as an Obsidian vault: one note per session,
+// laid out like the session folders (children in a folder named after their
+// parent's note). The title, term, parent and summary go into the YAML front
+// matter, formulas are rewritten to the $ delimiters Obsidian renders, and a
+// highlight that opened a child chat becomes a [[wikilink]] to its note.
+
+const NOTE_NAME_MAX_CHARS = 80;
+// Code first, so that dollar signs inside it are not taken for formulas
+const MARKDOWN_PROTECTED = /```[\s\S]*?```|`[^`\n]*`|\$\$[\s\S]*?\$\$|\\\[[\s\S]*?\\\]|\\\([\s\S]*?\\\)|\$[^$\n]+\$|\[\[[^\]]*\]\]/g;
+
+// Obsidian refuses these characters in file names and links
+function toNoteName(text) {
+  const name = (text || '')
+    .replace(/[*"\\/<>:|?#^[\]\n\r\t]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, NOTE_NAME_MAX_CHARS)
+    .trim();
+  return name || 'Без названия';
+}
+
+// Wikilinks resolve by name, so names are unique in the whole vault
+function claimNoteName(text, taken) {
+  const base = toNoteName(text);
+  let name = base;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    name = `${base} (${n})`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+function protectedRanges(text) {
+  return [...text.matchAll(MARKDOWN_PROTECTED)].map(match => [match.index, match.index + match[0].length]);
+}
+
+// \( \) and \[ \] become $ and $$; everything else, code included, stays as it is
+function toObsidianMath(text) {
+  return text.replace(MARKDOWN_PROTECTED, (match) => {
+    if (match.startsWith('\\[')) return `$$${match.slice(2, -2).trim()}$$`;
+    if (match.startsWith('\\(')) return `$${match.slice(2, -2).trim()}$`;
+    return match;
+  });
+}
+
+// Links the first plain occurrence of the highlighted text to the child note.
+// Returns null when the text only occurs inside a formula, code or a link, or
+// cannot be part of a link; the child is then listed under the message.
+function linkHighlight(content, term, noteName) {
+  if (!term || /[\n$`[\]|\\]/.test(term)) return null;
+  const ranges = protectedRanges(content);
+  const lower = content.toLowerCase();
+  for (let at = lower.indexOf(term.toLowerCase()); at !== -1; at = lower.indexOf(term.toLowerCase(), at + 1)) {
+    const end = at + term.length;
+    if (ranges.some(([from, to]) => at < to && end > from)) continue;
+    const label = content.slice(at, end);
+    const link = label === noteName ? `[[${noteName}]]` : `[[${noteName}|${label}]]`;
+    return content.slice(0, at) + link + content.slice(end);
+  }
+  return null;
+}
+
+function toFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value)
+    // A JSON string is a valid double-quoted YAML scalar
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+const EXPORT_HEADINGS = { user: 'Вопрос', assistant: 'Ответ' };
+
+function renderNote(note, notesBySessionId) {
+  const { session, name, parent } = note;
+  const children = note.children.map(child => notesBySessionId.get(child));
+  const linked = new Set();
+
+  const renderSection = ({ message }) => {
+    let content = message.content || '';
+    const unlinked = [];
+    (message.highlights || []).forEach(highlight => {
+      children
+        .filter(child => child.session.originHighlightId === highlight.id)
+        .forEach(child => {
+          linked.add(child);
+          const withLink = linkHighlight(content, highlight.text, child.name);
+          if (withLink === null) {
+            unlinked.push(`- «${highlight.text}» → [[${child.name}]]`);
+          } else {
+            content = withLink;
+          }
+        });
+    });
+
+    const heading = message.type === 'merge'
+      ? `Итоги углубления${message.originTerm ? ` в «${message.originTerm}»` : ''}`
+      : EXPORT_HEADINGS[message.role];
+    return [`### ${heading}`, toObsidianMath(content), ...(unlinked.length ? [unlinked.join('\n')] : [])].join('\n\n');
+  };
+
+  // Inactive versions of answers and questions go after the transcript
+  const entries = listMessageVersions(session);
+  const sections = entries.filter(entry => entry.active).map(renderSection);
+  const stashed = entries.filter(entry => !entry.active).map(renderSection);
+  if (stashed.length) sections.push('## Другие версии', ...stashed);
+
+  const intro = [];
+  if (parent) {
+    const term = session.originTerm ? `Углубление в «${session.originTerm}» из` : 'Ветка чата';
+    intro.push(`${term} [[${parent.name}]]`);
+  }
+  if (session.sourcePassage) {
+    intro.push(toObsidianMath(session.sourcePassage).split('\n').map(line => `> ${line}`).join('\n'));
+  }
+
+  // Children opened some other way (branches, removed highlights)
+  const rest = children.filter(child => !linked.has(child));
+  const restList = rest.length
+    ? ['## Дочерние чаты', rest.map(child => `- [[${child.name}]]${child.session.originTerm ? ` — «${child.session.originTerm}»` : ''}`).join('\n')]
+    : [];
+
+  const frontMatter = toFrontMatter({
+    title: session.title || 'Без названия',
+    originTerm: session.originTerm,
+    parent: parent ? `[[${parent.name}]]` : null,
+    summary: session.summary,
+    sessionId: session.id
+  });
+  return `${frontMatter}\n${[`# ${session.title || 'Без названия'}`, ...intro, ...sections, ...restList].join('\n\n')}\n`;
+}
+
+// Reads the subtree from disk; every note knows its folder inside the vault
+async function collectExportNotes(sessionPath) {
+  const notes = [];
+  const taken = new Set();
+  const visit = async (currentPath, session, parent, folder) => {
+    const note = { session, parent, folder, children: [], name: claimNoteName(session.title || session.originTerm, taken) };
+    notes.push(note);
+    for (const child of await listChildSessions(currentPath)) {
+      note.children.push(child.session.id);
+      await visit(child.path, child.session, note, folder ? `${folder}/${note.name}` : note.name);
+    }
+  };
+  await visit(sessionPath, await readSession(sessionPath), null, '');
+  return notes;
+}
+
+app.get('/api/sessions/:id/export', async (req, res) => {
+  try {
+    const sessionPath = await findSessionPath(req.params.id);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const notes = await collectExportNotes(sessionPath);
+    const notesBySessionId = new Map(notes.map(note => [note.session.id, note]));
+    const vault = notes[0].name;
+    const archive = createZip(notes.map(note => ({
+      name: [vault, note.folder, `${note.name}.md`].filter(Boolean).join('/'),
+      data: renderNote(note, notesBySessionId)
+    })));
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="mindgit-vault.zip"; filename*=UTF-8''${encodeURIComponent(vault)}.zip`
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting session tree:', error);
+    res.status(500).json({ error: 'Failed to export session tree' });
+  }
+});
+
+// --- Context Assembly ---
+//
+// The prompt is assembled on the server within CONTEXT_TOKEN_BUDGET prompt
+// tokens, so long chats never outgrow the model window. Parts are taken in
+// priority order: the system prompt, the term this chat was opened for with
+// the passage it came from, the turn being answered, ancestor summaries
+// (nearest first), notes on child chats, and finally older turns from the
+// newest back. Turns that do not fit are replaced by the chat's own rolling
+// summary. The last prompt sent for a session is kept in .context.json next to
+// its session.json for the context inspector.
+
+const CONTEXT_FILE = '.context.json';
+const SOURCE_PASSAGE_CHARS = 800;
+const MAX_SIBLING_TERMS = 20;
+// Role and separators each message adds on top of its text
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// No tokenizer for every backend, so this is an estimate that errs on the
+// high side: about 4 characters per token for ASCII, Cyrillic is denser
+function estimateTokens(text) {
+  if (!text) return 0;
+  const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+  return Math.ceil((text.length - nonAscii) / 4 + nonAscii / 2.5);
+}
+
+function countMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// The paragraph around `term` in `text`, shortened to a window around it.
+// Highlights are made on rendered text, so the case may differ from the source.
+function extractPassage(text, term, maxChars = SOURCE_PASSAGE_CHARS) {
+  if (!text || !term) return '';
+  let at = text.indexOf(term);
+  if (at === -1) at = text.toLowerCase().indexOf(term.toLowerCase());
+  if (at === -1) return '';
+
+  const before = text.lastIndexOf('\n\n', at);
+  const after = text.indexOf('\n\n', at + term.length);
+  const start = before === -1 ? 0 : before + 2;
+  const end = after === -1 ? text.length : after;
+  if (end - start <= maxChars) return text.slice(start, end).trim();
+
+  const from = Math.max(start, Math.min(at - Math.floor((maxChars - term.length) / 2), end - maxChars));
+  const to = Math.min(end, from + maxChars);
+  return `${from > start ? '…' : ''}${text.slice(from, to).trim()}${to < end ? '…' : ''}`;
+}
+
+// For children created before the passage was stored with them: look for the
+// message the term was highlighted in
+function findSourcePassage(parent, { sourceMessageId, originHighlightId, originTerm }) {
+  const message = findHighlightedMessage(parent, originHighlightId, sourceMessageId);
+  return message ? extractPassage(message.content, originTerm) : '';
+}
+
+// The message (in whichever version) a highlight was made in. Versions of one
+// message share its id, so the highlight decides between them.
+function findHighlightedMessage(session, highlightId, messageId = null) {
+  const candidates = listMessageVersions(session)
+    .map(({ message }) => message)
+    .filter(m => !messageId || m.id === messageId);
+  return candidates.find(m => highlightId && m.highlights?.some(h => h.id === highlightId)) ||
+    (messageId ? candidates[0] : null) || null;
+}
+
+// How many of `messages`, counted from the end, fit into `budget`
+function countNewestFitting(messages, budget) {
+  let count = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    budget -= countMessageTokens(messages[i]);
+    if (budget < 0) break;
+    count++;
+  }
+  return count;
+}
+
+function renderContextText(ancestors, current, includedSummaries, digests) {
+  let contextText = '';
+
+  if (ancestors.length) {
+    contextText += "Контекст беседы (путь углубления в тему):\n\n";
+    [...ancestors, current].forEach((item, index) => {
+      // Show term that led to this topic (from previous item)
+      if (index > 0 && item.originTerm) {
+        contextText += `→ Пользователь углубился в термин: "${item.originTerm}"\n\n`;
+      } else if (index > 0 && item.forked) {
+        contextText += `→ Пользователь ответвил беседу от предыдущего чата (начало переписки скопировано)\n\n`;
+      }
+
+      contextText += `${index + 1}. Тема: "${item.title}"\n`;
+      if (item === current) {
+        if (item.sourcePassage) {
+          contextText += `   Фрагмент, в котором встретился термин (объясняй его именно в этом смысле): «${item.sourcePassage}»\n`;
+        }
+        if (item.siblingTerms.length) {
+          const terms = item.siblingTerms.slice(0, MAX_SIBLING_TERMS).map(term => `"${term}"`).join(', ');
+          contextText += `   Рядом пользователь уже разбирал в отдельных чатах: ${terms} - не повторяй их объяснения\n`;
+        }
+        contextText += '\n';
+      } else if (includedSummaries.has(item)) {
+        contextText += `   Краткое содержание: ${item.summary}\n\n`;
+      } else if (!item.summary) {
+        contextText += `   (ещё не завершено)\n\n`;
+      } else {
+        contextText += '\n';
+      }
+    });
   }
-  return sessions;
-}
 
-app.get('/api/sessions', async (req, res) => {
-  try {
-    const sessions = await getAllSessions();
-    res.json(sessions);
-  } catch (error) {
-    console.error('Error fetching sessions:', error);
-    res.status(500).json({ error: 'Failed to fetch sessions' });
+  // What was learned in child chats opened from this one
+  if (digests.length) {
+    contextText += "Пользователь уже углублялся в термины из этой беседы. Что выяснилось в дочерних чатах:\n";
+    digests.forEach(({ term, digest }) => {
+      contextText += `- "${term}": ${digest}\n`;
+    });
   }
-});
+  return contextText;
+}
 
-app.post('/api/sessions', async (req, res) => {
-  try {
-    const { id, title, parentId, messages, pendingFragments, isExpanded, summary, originTerm, originHighlightId, lastSummarizedMessageCount } = req.body;
-    const sessionId = id;
-    
-    let targetDir = SESSIONS_DIR;
-    if (parentId) {
-      const parentPath = await findSessionPath(parentId);
-      if (!parentPath) {
-        return res.status(404).json({ error: 'Parent session not found' });
-      }
-      targetDir = parentPath;
-    }
+// `chain` is root first and ends with the session being answered (empty for
+// one-off requests). `digests` are the candidates from getChildDigests.
+// Returns the messages to send and a report of what went in.
+async function assembleContext({ generation, chain, digests, messages }) {
+  const budget = CONTEXT_TOKEN_BUDGET;
+  const current = chain[chain.length - 1] || null;
+  const ancestors = chain.slice(0, -1);
+  const conversation = messages.map(toApiMessage);
+  const latest = conversation[conversation.length - 1];
+  const older = conversation.slice(0, -1);
 
-    const sessionDir = path.join(targetDir, sessionId);
-    try {
-      await fs.access(sessionDir);
-    } catch {
-      await fs.mkdir(sessionDir, { recursive: true });
+  const systemPrompt = generation.systemPrompt ? { role: 'system', content: generation.systemPrompt } : null;
+  let remaining = budget - countMessageTokens(latest) - (systemPrompt ? countMessageTokens(systemPrompt) : 0);
+
+  // The origin term and its passage always go in, ancestor summaries and
+  // child notes get a capped share of what is left
+  const includedSummaries = new Set();
+  let ancestorBudget = Math.min(remaining, Math.floor(budget * ANCESTOR_BUDGET_SHARE));
+  [...ancestors].reverse().forEach(item => {
+    const cost = estimateTokens(item.summary);
+    if (item.summary && cost <= ancestorBudget) {
+      includedSummaries.add(item);
+      ancestorBudget -= cost;
     }
-    
-    const sessionData = { 
-      id, title, parentId, messages, pendingFragments, 
-      isExpanded, summary, originTerm, originHighlightId, lastSummarizedMessageCount 
-    };
-    await fs.writeFile(
-      path.join(sessionDir, 'session.json'), 
-      JSON.stringify(sessionData, null, 2)
-    );
+  });
+
+  // Child notes are loaded in order and only until one does not fit, so no
+  // tree summary is computed for a note that would be left out
+  let digestBudget = Math.min(remaining, Math.floor(budget * DIGEST_BUDGET_SHARE));
+  const includedDigests = [];
+  for (const { term, load } of digests) {
+    const digest = await load();
+    if (!digest) continue;
+    const cost = estimateTokens(`- "${term}": ${digest}`);
+    if (cost > digestBudget) break;
+    digestBudget -= cost;
+    includedDigests.push({ term, digest });
+  }
+
+  const contextText = renderContextText(ancestors, current, includedSummaries, includedDigests);
+  const contextMessage = contextText ? { role: 'system', content: contextText } : null;
+  if (contextMessage) remaining -= countMessageTokens(contextMessage);
 
-    res.json({ success: true, path: sessionDir });
+  // Older turns, newest first; if some are left out the chat's own summary
+  // stands in for them
+  let kept = countNewestFitting(older, remaining);
+  let earlierSummary = null;
+  if (kept < older.length && current?.summary) {
+    earlierSummary = { role: 'system', content: `Краткое содержание более ранней части беседы:\n${current.summary}` };
+    kept = countNewestFitting(older, remaining - countMessageTokens(earlierSummary));
+  }
+
+  const apiMessages = [
+    systemPrompt,
+    contextMessage,
+    earlierSummary,
+    ...older.slice(older.length - kept),
+    latest
+  ].filter(Boolean);
+
+  const report = {
+    budget,
+    estimatedTokens: apiMessages.reduce((sum, m) => sum + countMessageTokens(m), 0),
+    systemPrompt: Boolean(systemPrompt),
+    originTerm: current?.originTerm || null,
+    sourcePassage: Boolean(current?.sourcePassage),
+    siblingTerms: current ? Math.min(current.siblingTerms.length, MAX_SIBLING_TERMS) : 0,
+    ancestorSummaries: { included: includedSummaries.size, total: ancestors.filter(item => item.summary).length },
+    childDigests: { included: includedDigests.length, total: digests.length },
+    messages: { included: kept + 1, total: conversation.length },
+    earlierSummary: Boolean(earlierSummary)
+  };
+  return { apiMessages, report };
+}
+
+// Keeps the prompt for the context inspector; failing to do so must not fail the request
+async function saveSentContext(sessionId, { generation, apiMessages, report }) {
+  try {
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) return;
+    await writeJsonAtomic(path.join(sessionPath, CONTEXT_FILE), {
+      timestamp: new Date().toISOString(),
+      model: generation.model,
+      report,
+      messages: apiMessages
+    });
   } catch (error) {
-    console.error('Error saving session:', error);
-    res.status(500).json({ error: 'Failed to save session' });
+    console.error(`Failed to save sent context for session ${sessionId}:`, error);
   }
-});
+}
 
-app.delete('/api/sessions/:id', async (req, res) => {
+app.get('/api/sessions/:id/context', async (req, res) => {
   try {
     const sessionPath = await findSessionPath(req.params.id);
     if (!sessionPath) {
       return res.status(404).json({ error: 'Session not found' });
     }
-    await fs.rm(sessionPath, { recursive: true, force: true });
-    res.json({ success: true });
+    const content = await fs.readFile(path.join(sessionPath, CONTEXT_FILE), 'utf-8');
+    res.json(JSON.parse(content));
   } catch (error) {
-    console.error('Error deleting session:', error);
-    res.status(500).json({ error: 'Failed to delete session' });
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'No request has been sent for this session yet' });
+    }
+    console.error('Error reading sent context:', error);
+    res.status(500).json({ error: 'Failed to read sent context' });
   }
 });
 
-app.post('/api/sessions/:id/summarize', async (req, res) => {
+// --- Deep Dive ---
+//
+// Turns the parent's pending fragments into child chats in one step: openers
+// are generated from server-side templates, then the children and the parent
+// (with the used fragments removed from `pendingFragments`) are written under
+// the parent's lock. A fragment whose opener fails stays pending so it can be
+// retried, and is reported in `errors`; the others go through.
+
+const OPENER_MAX_TOKENS = 400;
+const OPENER_SOURCE_CHARS = 4000;
+
+function buildOpenerPrompt(parentSummary, term, source) {
+  return `Ты помогаешь пользователю углубиться в изучение термина или концепции. 
+
+Контекст родительского чата (краткое саммари):
+${parentSummary || 'Контекст недоступен'}
+
+Исходное сообщение, из которого был выделен фрагмент:
+${source || 'Контекст недоступен'}
+
+Пользователь выделил следующий фрагмент для углубленного изучения:
+${term}
+
+Твоя задача: очень кратко (1-2 предложения) обрисовать этот термин/концепцию/фрагмент и проактивно пригласить пользователя к диалогу. Будь дружелюбным и заинтересованным. Предложи конкретные направления для обсуждения или задай открытый вопрос, который поможет начать диалог. Если в выделенном фрагменте есть формулы - обязательно продублируй их в своем сообщении.`;
+}
+
+async function createOpener(parent, fragment, userId) {
+  const message = findHighlightedMessage(parent, fragment.id, fragment.messageId);
+  if (!message) {
+    throw new Error('Source message not found');
+  }
+  const sourcePassage = extractPassage(message.content, fragment.text);
+  const source = sourcePassage || message.content.slice(0, OPENER_SOURCE_CHARS);
+
+  const { text, usage, model } = await completeWithUtilityModel(
+    buildOpenerPrompt(parent.summary, fragment.text, source),
+    OPENER_MAX_TOKENS
+  );
+  await recordUsage(usage, 'opener', userId);
+  if (!text.trim()) {
+    throw new Error('Model returned an empty opener');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    title: fragment.text.slice(0, 32) || 'Термин',
+    parentId: parent.id,
+    originTerm: fragment.text,
+    originHighlightId: fragment.id,
+    sourceMessageId: fragment.messageId,
+    ...(sourcePassage ? { sourcePassage } : {}),
+    pendingFragments: [],
+    isExpanded: true,
+    summary: '',
+    messages: [{ id: crypto.randomUUID(), role: 'assistant', content: text, highlights: [], usage, model }]
+  };
+}
+
+// `fragmentIds` picks some of the pending fragments, by default all are used
+app.post('/api/sessions/:id/deep-dive', async (req, res) => {
   try {
     const sessionId = req.params.id;
+    const { fragmentIds = null } = req.body || {};
+    if (fragmentIds !== null && !(Array.isArray(fragmentIds) && fragmentIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'fragmentIds must be an array of strings', fields: ['fragmentIds'] });
+    }
+
     const sessionPath = await findSessionPath(sessionId);
-    
     if (!sessionPath) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    const jsonPath = path.join(sessionPath, 'session.json');
-    const content = await fs.readFile(jsonPath, 'utf-8');
-    const session = JSON.parse(content);
-
-    if (!session.messages || session.messages.length === 0) {
-      return res.json({ summary: '', messageCount: 0, skipped: true });
-    }
-
-    // Check if summary is already up to date
-    const lastCount = session.lastSummarizedMessageCount || 0;
-    if (session.messages.length <= lastCount) {
-      console.log(`Summary already up to date for session ${sessionId} (${session.messages.length} <= ${lastCount})`);
-      return res.json({ 
-        summary: session.summary || '', 
-        messageCount: session.messages.length,
-        skipped: true 
-      });
+    const parent = await readSession(sessionPath);
+    const fragments = (parent.pendingFragments || [])
+      .filter(fragment => !fragmentIds || fragmentIds.includes(fragment.id));
+    if (!fragments.length) {
+      return res.status(400).json({ error: 'No pending fragments to dive into' });
     }
+    if (await rejectOverBudget(res)) return;
+    if (await rejectRateLimited(req, res, fragments.length)) return;
 
-    // Prepare messages for summarization
-    const textToSummarize = session.messages
-      .map(m => `${m.role}: ${m.content}`)
-      .join('\n');
-
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://example.com',
-        'X-Title': 'Minimalist Chatbot'
-      },
-      body: JSON.stringify({
-        model: 'google/gemini-2.5-flash-lite',
-        messages: [
-          {
-            role: "user",
-            content: `Summarize the following conversation briefly in three or four sentences (in Russian if the content is Russian):\n\n${textToSummarize}`
-          }
-        ],
-        temperature: 0.5,
-        max_tokens: 256
-      })
-    });
+    // Openers are independent, one failing must not hold back the rest
+    const errors = [];
+    const openers = await Promise.all(fragments.map(async fragment => {
+      try {
+        return await createOpener(parent, fragment, req.user.id);
+      } catch (error) {
+        console.error(`Failed to create deep-dive opener for "${fragment.text}":`, error);
+        errors.push({ fragmentId: fragment.id, text: fragment.text, error: error.message });
+        return null;
+      }
+    }));
 
-    if (!response.ok) {
-      throw new Error('OpenRouter request failed during summarization');
-    }
+    const result = await withSessionLock(sessionId, async () => {
+      const latest = await readSession(sessionPath);
+      // Fragments removed while the openers were generated are not created
+      const stillPending = new Set((latest.pendingFragments || []).map(f => f.id));
+      const children = openers.filter(child => {
+        if (!child) return false;
+        if (stillPending.has(child.originHighlightId)) return true;
+        errors.push({ fragmentId: child.originHighlightId, text: child.originTerm, error: 'Fragment is no longer pending' });
+        return false;
+      });
+      if (!children.length) return { parent: latest, children: [] };
 
-    const data = await response.json();
-    const summary = data.choices?.[0]?.message?.content || '';
+      // Children first: if anything fails before the parent is written, the
+      // created folders are removed and the fragments stay pending
+      const createdPaths = [];
+      const sessions = [];
+      try {
+        for (const child of children) {
+          const childPath = sessionDirFor(sessionPath, child.id);
+          await fs.mkdir(childPath);
+          createdPaths.push(childPath);
+          sessions.push(await writeSession(childPath, child, null, {
+            description: `Углубление в «${child.originTerm}»`
+          }));
+        }
 
-    // Update session with summary and message count
-    session.summary = summary;
-    session.lastSummarizedMessageCount = session.messages.length;
-    await fs.writeFile(jsonPath, JSON.stringify(session, null, 2));
+        const used = new Set(children.map(child => child.originHighlightId));
+        const saved = await writeSession(sessionPath, {
+          ...latest,
+          pendingFragments: latest.pendingFragments.filter(f => !used.has(f.id)),
+          isExpanded: true
+        }, latest, {
+          description: `Созданы дочерние чаты: ${children.map(child => `«${child.originTerm}»`).join(', ')}`
+        });
 
-    res.json({ 
-      success: true, 
-      summary,
-      messageCount: session.messages.length,
-      skipped: false
+        await Promise.all(sessions.map((child, index) => registerSessionPath(child.id, createdPaths[index])));
+        return { parent: saved, children: sessions };
+      } catch (error) {
+        await Promise.all(createdPaths.map(childPath => fs.rm(childPath, { recursive: true, force: true })));
+        throw error;
+      }
     });
 
+    if (!result.children.length) {
+      return res.status(502).json({ error: 'Failed to create deep-dive chats', errors, session: result.parent });
+    }
+    res.json({ success: true, session: result.parent, sessions: result.children, errors });
   } catch (error) {
-    console.error('Error summarizing session:', error);
-    res.status(500).json({ error: 'Failed to summarize session' });
+    console.error('Error creating deep-dive chats:', error);
+    res.status(500).json({ error: 'Failed to create deep-dive chats' });
   }
 });
 
-// --- Helper: Build context chain from parent sessions ---
+// --- Chat Proxy ---
 
-async function buildContextChain(sessionId) {
-  const chain = [];
-  let currentId = sessionId;
-  
-  while (currentId) {
-    const sessionPath = await findSessionPath(currentId);
-    if (!sessionPath) break;
-    
-    const jsonPath = path.join(sessionPath, 'session.json');
-    try {
-      const content = await fs.readFile(jsonPath, 'utf-8');
-      const session = JSON.parse(content);
-      
-      chain.unshift({
-        title: session.title || 'Без названия',
-        summary: session.summary || '',
-        originTerm: session.originTerm || null
-      });
-      
-      currentId = session.parentId;
-    } catch (err) {
-      console.error(`Failed to read session ${currentId}:`, err);
-      break;
-    }
+// Strips client-only fields; merged child knowledge is passed as system context
+function toApiMessage(message) {
+  if (message.type === 'merge') {
+    const source = message.originTerm ? ` в термин "${message.originTerm}"` : '';
+    return {
+      role: 'system',
+      content: `Итоги углубления${source} (из дочернего чата):\n${message.content}`
+    };
   }
-  
-  return chain;
+  return { role: message.role, content: message.content };
 }
 
-// --- Chat Proxy ---
+// Resolves the generation settings for a session and assembles the prompt:
+// system prompt and the context of its ancestors and children, then as much of
+// the conversation as the token budget allows
+async function buildChatRequest(messages, sessionId) {
+  let generation = getDefaultSettings();
+  let chain = [];
+  let digests = [];
+  if (sessionId) {
+    chain = await buildContextChain(sessionId);
+    generation = resolveSettings(chain);
+    digests = await getChildDigests(sessionId);
+  }
+
+  const { apiMessages, report } = await assembleContext({ generation, chain, digests, messages });
+  return { generation, apiMessages, report };
+}
+
+// Providers answer errors with an OpenAI-style body; pass their own message on
+// so the UI can show something more useful than a generic failure
+function readUpstreamError(errorText) {
+  try {
+    const { error } = JSON.parse(errorText);
+    return typeof error === 'string' ? error : error?.message || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Walks an upstream completion stream; onCompletion receives the parsed events
+// and may return false to stop reading
+async function readCompletionStream(body, onCompletion) {
+  await readSSEStream(body, (event) => {
+    const completion = parseCompletionEvent(event);
+    if (!completion) {
+      console.warn(`${llm.name} sent a malformed stream event:`, event.data);
+      return;
+    }
+    return onCompletion(completion);
+  });
+}
 
 app.post('/api/chat', async (req, res) => {
+  let releaseUpstream = null;
   try {
     const { messages, sessionId, stream = true } = req.body;
 
     if (!Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({ error: 'Messages array is required.' });
     }
-
-    // Build context chain if sessionId provided
-    let contextMessage = null;
+    const fields = messages.flatMap((message, index) => (isPlainObject(message) &&
+      ['system', ...MESSAGE_ROLES].includes(message.role) && isString(message.content, SESSION_LIMITS.content)
+      ? []
+      : [`messages[${index}]`]));
+    if (!isOptional(sessionId, isSessionId)) fields.push('sessionId');
+    if (fields.length) {
+      return res.status(400).json({ error: 'Invalid chat request', fields });
+    }
     if (sessionId) {
-      const contextChain = await buildContextChain(sessionId);
-      
-      // Only add context if there are parent sessions (chain length > 1)
-      if (contextChain.length > 1) {
-        let contextText = "Контекст беседы (путь углубления в тему):\n\n";
-        
-        contextChain.forEach((item, index) => {
-          // Show term that led to this topic (from previous item)
-          if (index > 0 && item.originTerm) {
-            contextText += `→ Пользователь углубился в термин: "${item.originTerm}"\n\n`;
-          }
-          
-          contextText += `${index + 1}. Тема: "${item.title}"\n`;
-          if (item.summary) {
-            contextText += `   Краткое содержание: ${item.summary}\n\n`;
-          } else if (index < contextChain.length - 1) {
-            // If not the last (current) item and no summary yet
-            contextText += `   (ещё не завершено)\n\n`;
-          }
-        });
-        
-        contextMessage = {
-          role: "system",
-          content: contextText
-        };
+      const sessionPath = await findSessionPath(sessionId);
+      if (!sessionPath || !isInWorkspace(req.workspace, sessionPath)) {
+        return res.status(404).json({ error: 'Session not found' });
       }
     }
 
-    // Combine context with user messages
-    const apiMessages = contextMessage 
-      ? [contextMessage, ...messages]
-      : messages;
-
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://example.com',
-        'X-Title': 'Minimalist Chatbot'
-      },
-      body: JSON.stringify({
-        model: 'google/gemini-2.5-flash-lite',
-        messages: apiMessages,
-        temperature: 0.8,
-        max_tokens: 4096,
-        stream: stream
-      })
+    if (await rejectOverBudget(res)) return;
+    if (await rejectRateLimited(req, res)) return;
+
+    const request = await buildChatRequest(messages, sessionId);
+    const { generation, apiMessages, report } = request;
+    if (sessionId) {
+      await saveSentContext(sessionId, request);
+    }
+
+    // Stop paying for tokens nobody will read: when the client goes away
+    // the upstream request is aborted as well
+    const upstreamAbort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        upstreamAbort.abort();
+      }
+    });
+
+    releaseUpstream = await acquireUpstreamSlot(upstreamAbort.signal);
+    const { response, model } = await completeUpstream({
+      model: generation.model,
+      messages: apiMessages,
+      temperature: generation.temperature,
+      max_tokens: generation.max_tokens,
+      stream: stream,
+      signal: upstreamAbort.signal
     });
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('OpenRouter error:', errorText);
-      return res.status(response.status).json({ error: 'OpenRouter request failed.' });
+      console.error(`${llm.name} error:`, errorText);
+      return res.status(response.status).json({ error: readUpstreamError(errorText) || 'LLM request failed.' });
     }
 
     // If not streaming, return JSON response
     if (!stream) {
       const data = await response.json();
-      return res.json(data);
+      const usage = normalizeUsage(data.usage, model);
+      await recordUsage(usage, 'chat', req.user.id);
+      return res.json({ ...data, model, usage, context: report });
     }
 
     // Set headers for streaming
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+    res.write(formatSSE({ event: 'context', data: JSON.stringify(report) }));
 
-    // Stream the response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
+    // Relay the response: text chunks as they are, errors and usage as typed events
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              res.write(`data: [DONE]\n\n`);
-              res.end();
-              return;
-            }
-            try {
-              const parsed = JSON.parse(data);
-              res.write(`data: ${JSON.stringify(parsed)}\n\n`);
-            } catch (e) {
-              // Skip invalid JSON
-            }
-          }
+      await readCompletionStream(response.body, ({ done, content, usage, error, payload }) => {
+        if (error) {
+          res.write(formatSSE({ event: 'error', data: JSON.stringify(error) }));
         }
-      }
+        if (content) {
+          res.write(formatSSE({ data: JSON.stringify(payload) }));
+        }
+        if (usage) {
+          const normalized = normalizeUsage(usage, model);
+          recordUsage(normalized, 'chat', req.user.id);
+          res.write(formatSSE({ event: 'usage', data: JSON.stringify(normalized) }));
+        }
+        if (done) return false;
+      });
+      res.end(formatSSE({ data: '[DONE]' }));
     } catch (error) {
+      if (upstreamAbort.signal.aborted) {
+        console.log('Client disconnected, upstream request aborted');
+        return;
+      }
       console.error('Streaming error:', error);
-      res.write(`data: ${JSON.stringify({ error: 'Streaming error' })}\n\n`);
+      res.write(formatSSE({ event: 'error', data: JSON.stringify({ message: 'Streaming error' }) }));
       res.end();
     }
   } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('Client disconnected before the upstream response arrived');
+      return;
+    }
+    if (error.code === 'UPSTREAM_BUSY') return sendUpstreamBusy(res);
     console.error('Server error:', error);
     if (!res.headersSent) {
       return res.status(500).json({ error: 'Unexpected server error.' });
     }
     res.end();
+  } finally {
+    releaseUpstream?.();
+  }
+});
+
+// --- Generation Jobs ---
+//
+// Assistant replies run as server-side jobs so they survive a closed or
+// reloaded tab. Tokens are written into the assistant message in session.json
+// as they arrive, and clients attach to the job's event stream by session id,
+// resuming after the last event they have seen (Last-Event-ID). Besides text
+// chunks the stream carries typed `context` (what went into the prompt),
+// `usage`, `error` and final `job` events.
+
+const JOB_FLUSH_INTERVAL_MS = 500;
+const JOB_RETENTION_MS = 5 * 60 * 1000;
+const generationJobs = new Map();
+
+function emitJobEvent(job, data, type = 'message') {
+  const event = { id: job.events.length + 1, type, data };
+  job.events.push(event);
+  job.listeners.forEach(listener => listener(event));
+}
+
+// Replaces the generating message in the latest revision of the session
+async function updateJobMessage(job, update, commit) {
+  const sessionPath = await findSessionPath(job.sessionId);
+  if (!sessionPath) return null;
+
+  return withSessionLock(job.sessionId, async () => {
+    const latest = await readSession(sessionPath);
+    const message = latest.messages?.find(m => m.id === job.messageId);
+    if (!message) return null;
+
+    const messages = latest.messages.map(m => (m === message ? update(m) : m));
+    if (!commit) {
+      // Intermediate flushes keep the revision: the message is still in flux,
+      // and bumping it would make every client save during generation stale
+      await writeJsonAtomic(path.join(sessionPath, 'session.json'), { ...latest, messages });
+      return latest;
+    }
+    return writeSession(sessionPath, { ...latest, messages }, latest, commit);
+  });
+}
+
+function scheduleJobFlush(job) {
+  if (job.flushTimer) return;
+  job.flushTimer = setTimeout(async () => {
+    job.flushTimer = null;
+    const eventId = job.events.length;
+    const content = job.content;
+    try {
+      // A flush that lost the race against finishJob must not undo it
+      const saved = await updateJobMessage(job, message => (job.finishing ? message : {
+        ...message,
+        content,
+        generation: { status: 'running', eventId }
+      }));
+      if (!saved) {
+        // The session or the message is gone, nobody will read the rest
+        job.abort.abort();
+      }
+    } catch (error) {
+      console.error(`Failed to flush generation for session ${job.sessionId}:`, error);
+    }
+  }, JOB_FLUSH_INTERVAL_MS);
+}
+
+async function finishJob(job, status, error = null) {
+  job.finishing = true;
+  clearTimeout(job.flushTimer);
+  job.flushTimer = null;
+
+  const descriptions = {
+    done: 'Ответ ассистента',
+    aborted: 'Генерация остановлена',
+    error: 'Ошибка генерации'
+  };
+
+  let revision = null;
+  try {
+    const saved = await updateJobMessage(job, message => {
+      const { generation, ...rest } = message;
+      return {
+        ...rest,
+        content: job.content,
+        ...(status === 'aborted' ? { truncated: true } : {}),
+        ...(error ? { error } : {}),
+        ...(job.usage ? { usage: job.usage } : {}),
+        ...(job.model ? { model: job.model } : {})
+      };
+    }, { description: descriptions[status] });
+    revision = saved?.revision ?? null;
+  } catch (err) {
+    console.error(`Failed to save generation for session ${job.sessionId}:`, err);
+  }
+
+  // Until now the job still counts as running, so late subscribers keep waiting
+  job.status = status;
+  if (error) {
+    emitJobEvent(job, JSON.stringify({ message: error }), 'error');
+  }
+  emitJobEvent(job, JSON.stringify({ status, error, revision, model: job.model || null }), 'job');
+  emitJobEvent(job, '[DONE]');
+  job.listeners.clear();
+
+  // Keep the finished job around for a while so a client that reloads right
+  // now still receives the tail of the stream
+  setTimeout(() => {
+    if (generationJobs.get(job.sessionId) === job) {
+      generationJobs.delete(job.sessionId);
+    }
+  }, JOB_RETENTION_MS).unref();
+}
+
+async function runGenerationJob(job, { generation, apiMessages, report }) {
+  emitJobEvent(job, JSON.stringify(report), 'context');
+  let releaseUpstream = null;
+  try {
+    // Waits here while the upstream is busy; stopping the job leaves the queue
+    releaseUpstream = await acquireUpstreamSlot(job.abort.signal);
+    const { response, model } = await completeUpstream({
+      model: generation.model,
+      messages: apiMessages,
+      temperature: generation.temperature,
+      max_tokens: generation.max_tokens,
+      stream: true,
+      signal: job.abort.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${llm.name} error:`, errorText);
+      return finishJob(job, 'error', readUpstreamError(errorText) || 'LLM request failed.');
+    }
+
+    job.model = model;
+    let streamError = null;
+    await readCompletionStream(response.body, ({ done, content, usage, error, payload }) => {
+      if (error) {
+        streamError = error.message;
+        return false;
+      }
+      if (content) {
+        job.content += content;
+        emitJobEvent(job, JSON.stringify(payload));
+        scheduleJobFlush(job);
+      }
+      if (usage) {
+        job.usage = normalizeUsage(usage, model);
+        recordUsage(job.usage, 'chat', job.userId);
+        emitJobEvent(job, JSON.stringify(job.usage), 'usage');
+      }
+      if (done) return false;
+    });
+    return streamError ? finishJob(job, 'error', streamError) : finishJob(job, 'done');
+  } catch (error) {
+    if (job.abort.signal.aborted) {
+      return finishJob(job, 'aborted');
+    }
+    if (error.code === 'UPSTREAM_BUSY') {
+      return finishJob(job, 'error', 'Too many requests in progress, try again later.');
+    }
+    console.error('Generation error:', error);
+    return finishJob(job, 'error', 'LLM request failed.');
+  } finally {
+    releaseUpstream?.();
+  }
+}
+
+// Appends an empty assistant message to the session and starts generating it.
+// With `messageId` the existing last assistant message is answered again
+// instead (the client has already stashed its previous text as a version).
+app.post('/api/sessions/:id/generate', async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const { messageId = null } = req.body || {};
+    if (!isOptional(messageId, isItemId)) {
+      return res.status(400).json({ error: 'Invalid message id', fields: ['messageId'] });
+    }
+    const sessionPath = await findSessionPath(sessionId);
+    if (!sessionPath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (generationJobs.get(sessionId)?.status === 'running') {
+      return res.status(409).json({ error: 'Generation already in progress' });
+    }
+    if (await rejectOverBudget(res)) return;
+    if (await rejectRateLimited(req, res)) return;
+
+    const result = await withSessionLock(sessionId, async () => {
+      const latest = await readSession(sessionPath);
+      const messages = latest.messages || [];
+      let history = messages;
+      let message;
+
+      if (messageId) {
+        const target = messages[messages.length - 1];
+        if (!target || target.id !== messageId || target.role !== 'assistant' || target.type === 'merge') {
+          return { invalid: 'Only the last assistant message can be regenerated' };
+        }
+        history = messages.slice(0, -1);
+        message = { ...target, content: '', highlights: [], generation: { status: 'running', eventId: 0 } };
+        delete message.truncated;
+        delete message.error;
+        delete message.usage;
+        delete message.model;
+      } else {
+        message = {
+          id: crypto.randomUUID(),
+          role: 'assistant',
+          content: '',
+          highlights: [],
+          generation: { status: 'running', eventId: 0 }
+        };
+      }
+
+      if (!history.length) {
+        return { invalid: 'Session has no messages to answer' };
+      }
+      const saved = await writeSession(sessionPath, {
+        ...latest,
+        messages: [...history, message]
+      }, latest, { description: messageId ? 'Перегенерация ответа' : 'Начата генерация ответа' });
+      return { session: saved, history, message };
+    });
+
+    if (result.invalid) {
+      return res.status(400).json({ error: result.invalid });
+    }
+    const { message } = result;
+
+    const job = {
+      sessionId,
+      userId: req.user.id,
+      messageId: message.id,
+      status: 'running',
+      content: '',
+      events: [],
+      listeners: new Set(),
+      abort: new AbortController(),
+      model: null,
+      flushTimer: null,
+      finishing: false
+    };
+    generationJobs.set(sessionId, job);
+
+    // The job is registered before the prompt is assembled so the placeholder
+    // is never taken for an orphan; if assembling fails, settle it right away
+    let request;
+    try {
+      request = await buildChatRequest(result.history, sessionId);
+      await saveSentContext(sessionId, request);
+    } catch (error) {
+      console.error('Failed to assemble the chat request:', error);
+      await finishJob(job, 'error', 'Failed to assemble the request.');
+      return res.status(500).json({ error: 'Failed to start generation' });
+    }
+    runGenerationJob(job, request);
+
+    res.json({ success: true, message, revision: result.session.revision });
+  } catch (error) {
+    console.error('Error starting generation:', error);
+    res.status(500).json({ error: 'Failed to start generation' });
+  }
+});
+
+// Keeps what was generated of replies marked as running and marks them truncated
+function settleGenerationMarkers(messages) {
+  return messages.map(message => {
+    if (!message.generation) return message;
+    const { generation, ...rest } = message;
+    return { ...rest, truncated: true };
+  });
+}
+
+// A reply still marked as running without a job was cut off by a server
+// restart: keep what was flushed and mark it truncated
+async function settleOrphanedReplies(sessionId) {
+  const sessionPath = await findSessionPath(sessionId);
+  if (!sessionPath) return null;
+
+  return withSessionLock(sessionId, async () => {
+    const latest = await readSession(sessionPath);
+    if (!latest.messages?.some(m => m.generation)) return latest;
+
+    const messages = settleGenerationMarkers(latest.messages);
+    return writeSession(sessionPath, { ...latest, messages }, latest, { description: 'Генерация прервана' });
+  });
+}
+
+// SSE stream of the session's current job; replays everything after the
+// Last-Event-ID header (or ?lastEventId=) before following live events
+app.get('/api/sessions/:id/generation', async (req, res) => {
+  const sessionId = req.params.id;
+  const job = generationJobs.get(sessionId);
+  if (!job) {
+    try {
+      return res.status(404).json({ error: 'No active generation', session: await settleOrphanedReplies(sessionId) });
+    } catch (error) {
+      console.error('Error settling orphaned replies:', error);
+      return res.status(500).json({ error: 'Failed to read session' });
+    }
+  }
+
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const send = (event) => {
+    res.write(formatSSE({ id: event.id, event: event.type, data: event.data }));
+    if (event.data === '[DONE]') {
+      res.end();
+    }
+  };
+
+  job.events.filter(event => event.id > lastEventId).forEach(send);
+  if (job.status !== 'running') {
+    if (!res.writableEnded) res.end();
+    return;
   }
+
+  job.listeners.add(send);
+  res.on('close', () => job.listeners.delete(send));
+});
+
+app.post('/api/sessions/:id/generation/stop', (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  if (!job || job.status !== 'running') {
+    return res.status(404).json({ error: 'No active generation' });
+  }
+  job.abort.abort();
+  res.json({ success: true });
 });
 
+await parkLegacySessions();
+// Picks up folders added or moved while the server was down
+await rebuildSessionIndex();
+purgeExpiredTrash().catch(err => console.error('Failed to purge trash:', err));
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.error('Failed to purge trash:', err));
+  pruneRateBuckets();
+}, 60 * 60 * 1000).unref();
+
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
   console.log(`Sessions stored in ${SESSIONS_DIR}`);
+  console.log(`LLM provider: ${llm.name} (${llm.defaultModel})`);
+  if (MONTHLY_BUDGET_USD) {
+    console.log(`Monthly budget: $${MONTHLY_BUDGET_USD}`);
+  }
+  if (llm.fallbackModels.length) {
+    console.log(`Fallback models: ${llm.fallbackModels.join(', ')}`);
+  }
+  console.log(`Rate limit: ${RATE_LIMIT_REQUESTS} requests per ${RATE_LIMIT_WINDOW_SECONDS}s, ${LLM_MAX_CONCURRENCY} upstream at once`);
+  if (DAILY_TOKEN_QUOTA) {
+    console.log(`Daily token quota: ${DAILY_TOKEN_QUOTA} per account`);
+  }
 });